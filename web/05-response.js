@@ -7,6 +7,39 @@ const $body = Symbol('*body');
 const $status = Symbol('*status');
 const $statusText = Symbol('*statusText');
 const $headers = Symbol('*headers');
+const $url = Symbol('*url');
+const $redirected = Symbol('*redirected');
+const $type = Symbol('*type');
+
+/**
+ * Extracts the charset parameter from a Content-Type value
+ * @param {string} contentType - Content-Type header value
+ * @returns {string|undefined} Charset name (e.g. 'Shift_JIS')
+ */
+const charsetOf = contentType => Str(contentType ?? '').match(/;\s*charset\s*=\s*"?([^";\s]+)"?/i)?.[1];
+
+/**
+ * Decodes a response body using an explicit charset, or the charset named by
+ * the response Content-Type, falling back to UTF-8
+ *
+ * WHY: Blob.getDataAsString() assumes UTF-8, which mangles Shift_JIS,
+ * ISO-8859-1 and other legacy encodings still common in upstream APIs.
+ *
+ * @param {Web.Response|Web.HtmlResponse} $this - Response to decode
+ * @param {string} charset - Optional character set override
+ * @returns {string} Decoded body text
+ */
+const ResponseGetContentText = ($this, charset) => {
+  charset = charset || charsetOf($this[$headers]?.get?.('content-type') ?? $this[$body]?.getContentType?.());
+  if (charset) {
+    try {
+      return $this[$body]?.getDataAsString?.(charset);
+    } catch (e) {
+      console.warn('Could not decode response with charset:', charset, e);
+    }
+  }
+  return $this[$body]?.getDataAsString?.();
+};
 
 const ResponseConstructor = ($this, body, options = {}) => {
   Object.assign($this, options);
@@ -93,6 +126,39 @@ const ResponseGetAllHeaders = ($this) => {
   return result;
 }
 
+// Statuses that carry a Location to follow, and that Response.redirect() accepts
+const redirectStatuses = [301, 302, 303, 307, 308];
+
+/**
+ * Gets the deployed web app URL, the base for relative redirects
+ * @returns {string|undefined} Web app URL, or undefined when not deployed
+ */
+const webAppUrl = () => {
+  try {
+    return ScripAppService().getUrl() || undefined;
+  } catch (_) {
+    return undefined;
+  }
+};
+
+/**
+ * Resolves a redirect target against the web app
+ * Paths, with or without a leading slash, are routes of the web app, so
+ * they go under .../exec rather than replace it; ?query and #hash resolve
+ * against .../exec itself
+ * @param {string} location - Absolute or relative URL
+ * @returns {Web.URL} Resolved URL
+ * @throws {TypeError} If the URL cannot be parsed
+ */
+const webAppLocation = (location) => {
+  const base = webAppUrl();
+  location = Str(location);
+  if (base && location && !/^([a-z][a-z\d+.-]*:|\/\/|[?#])/i.test(location)) {
+    return new Web.URL(location.replace(/^\/+/, ''), base.replace(/\/*$/, '/'));
+  }
+  return new Web.URL(location, base);
+};
+
 /**
  * Web.Response - HTTP Response object with Web API compatibility
  * 
@@ -170,7 +236,7 @@ const Response = class WebResponse extends ContentService.createTextOutput {
    * @returns {Uint8Array} Byte array
    */
   bytes() {
-    return new Uint8Array(this.getContent());
+    return new Uint8Array(this[$body]?.getBytes?.() ?? []);
   }
 
   /**
@@ -201,11 +267,12 @@ const Response = class WebResponse extends ContentService.createTextOutput {
 
   /**
    * Gets response content as text
+   * Defaults to the charset named in the Content-Type header
    * @param {string} charset - Optional character set
    * @returns {string} Response text
    */
   getContentText(charset) {
-    return charset ? this[$body]?.getDataAsString?.(charset) : this[$body]?.getDataAsString?.();
+    return ResponseGetContentText(this, charset);
   }
 
   /**
@@ -273,6 +340,41 @@ const Response = class WebResponse extends ContentService.createTextOutput {
     return this.status >= 200 && this.status < 300;
   }
 
+  /**
+   * Gets the final URL of the response, after any redirects
+   * @returns {string} Response URL, or '' for constructed responses
+   */
+  get url() {
+    return this[$url] ?? '';
+  }
+
+  /**
+   * Checks if the response is the result of following a redirect
+   * @returns {boolean} True if at least one redirect was followed
+   */
+  get redirected() {
+    return this[$redirected] ?? false;
+  }
+
+  /**
+   * Gets the response type
+   * 'basic' for responses from Web.fetch, 'opaqueredirect' for redirects
+   * returned by redirect: 'manual', 'default' for constructed responses
+   * @returns {string} Response type
+   */
+  get type() {
+    return this[$type] ?? 'default';
+  }
+
+  /**
+   * Gets how many times Web.fetch sent the request, retries included
+   * Non-standard; 0 for constructed responses and those served from the HTTP cache
+   * @returns {number} Attempt count
+   */
+  get attempts() {
+    return this['&attempts'] ?? 0;
+  }
+
   /**
    * Creates a clone of the response
    * 
@@ -298,10 +400,80 @@ const Response = class WebResponse extends ContentService.createTextOutput {
       statusText: this[$statusText],
       headers: headersClone
     });
+    cloned[$url] = this[$url];
+    cloned[$redirected] = this[$redirected];
+    cloned[$type] = this[$type];
 
     return cloned;
   }
 
+  /**
+   * Creates a redirect response with a Location header and no body
+   * Relative URLs are resolved against the web app URL
+   * @param {string|Web.URL} url - Redirect target
+   * @param {number} status - 301, 302, 303, 307 or 308 (defaults to 302)
+   * @returns {Web.Response} Redirect response
+   * @throws {TypeError} If the URL cannot be parsed
+   * @throws {RangeError} If the status is not a redirect status
+   */
+  static redirect(url, status = 302) {
+    let location;
+    try {
+      location = webAppLocation(url).href;
+    } catch (_) {
+      throw new TypeError(`Failed to execute 'redirect' on 'Response': Invalid URL '${Str(url)}'`);
+    }
+    status = Number(status);
+    if (!redirectStatuses.includes(status)) {
+      throw new RangeError(`Failed to execute 'redirect' on 'Response': Invalid status code ${Str(status)}`);
+    }
+    return new Web.Response(null, {
+      status,
+      headers: {
+        Location: location
+      }
+    });
+  }
+
+  /**
+   * Creates a JSON response
+   * Content-Type is application/json unless init.headers sets one
+   * @param {*} data - Value to serialize with JSON.stringify
+   * @param {Object} init - Response options (status, statusText, headers)
+   * @returns {Web.Response} JSON response
+   * @throws {TypeError} If the data cannot be serialized
+   */
+  static json(data, init = {}) {
+    const body = JSON.stringify(data);
+    if (body === undefined) {
+      throw new TypeError(`Failed to execute 'json' on 'Response': ${Str(data)} is not JSON-serializable`);
+    }
+    const headers = new Web.Headers(init?.headers);
+    if (!headers.has('content-type')) {
+      headers.set('Content-Type', 'application/json');
+    }
+    return new Web.Response(body, {
+      ...init,
+      headers
+    });
+  }
+
+  /**
+   * Creates a network error response: type 'error', status 0, no body
+   * Web.fetch returns one when a request fails without an HTTP response
+   * @returns {Web.Response} Network error response
+   */
+  static error() {
+    const response = new Web.Response(null, {
+      status: 0
+    });
+    setProperty(response, {
+      statusText: ''
+    });
+    response[$type] = 'error';
+    return response;
+  }
+
 };
 
 setProperty(Web, {
@@ -344,6 +516,301 @@ const canCompile = x => {
   }
 };
 
+// Accept value that asks Web.ResponseEvent for an envelope
+const envelopeMediaType = 'application/vnd.web.envelope+json';
+
+/**
+ * Checks whether a request asked for its response wrapped in an envelope
+ * Apps Script does not pass request headers to web apps, so the Accept header
+ * only works for events built by hand; browsers and fetch clients use ?envelope=1
+ * @param {Web.RequestEvent|Object} request - Incoming request event
+ * @returns {boolean} True if an envelope was asked for
+ */
+const wantsEnvelope = (request) => {
+  const flag = request?.parameter?.envelope;
+  if (flag !== undefined) {
+    return !/^(0|false|no)$/i.test(Str(flag).trim());
+  }
+  return Str(request?.headers?.get?.('accept') ?? '').toLowerCase().includes(envelopeMediaType);
+};
+
+/**
+ * Checks whether a body can be carried in an envelope as text
+ * Bodies without a Content-Type count as text unless they are not valid UTF-8
+ * @param {string} contentType - Content-Type of the body
+ * @param {string} text - Body decoded as text
+ * @returns {boolean} True for text, false for binary
+ */
+const isTextBody = (contentType, text) => {
+  const type = Str(contentType ?? '').toLowerCase();
+  if (!type) {
+    return !text.includes('\uFFFD');
+  }
+  return /^text\/|[/+](json|xml)\b|javascript|ecmascript|x-www-form-urlencoded|;\s*charset=/.test(type);
+};
+
+/**
+ * Gets the status and headers of a response as plain data
+ * Set-Cookie is kept as an array so each cookie survives serialization
+ * @param {Web.Response} response - Response to describe
+ * @returns {Object} { status, statusText, headers }
+ */
+const responseMetadata = (response) => {
+  const headers = {};
+  response.headers?.forEach?.((value, name) => {
+    name = Str(name).toLowerCase();
+    if (name !== 'set-cookie') {
+      headers[name] = value;
+    }
+  });
+  const cookies = response.headers?.getSetCookie?.() ?? [];
+  if (cookies.length) {
+    headers['set-cookie'] = cookies;
+  }
+
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  };
+};
+
+/**
+ * Serializes a response into an envelope
+ * @param {Web.Response} response - Response to serialize
+ * @returns {Object} { status, statusText, headers, body, base64 }
+ */
+const responseEnvelope = (response) => {
+  const contentType = response.headers?.get?.('content-type');
+  const text = response.text?.() ?? '';
+  const envelope = responseMetadata(response);
+  if (isTextBody(contentType, text)) {
+    envelope.body = text;
+  } else {
+    envelope.body = Utilities.base64Encode(response.blob?.()?.getBytes?.() ?? []);
+    envelope.base64 = true;
+  }
+  return envelope;
+};
+
+/**
+ * Checks whether a value is shaped like a response envelope
+ * @param {*} value - Candidate envelope
+ * @returns {boolean} True if it is one
+ */
+const isEnvelope = (value) => {
+  return value !== null && typeof value === 'object' && !isArray(value) &&
+    Number.isInteger(value.status) &&
+    value.headers !== null && typeof value.headers === 'object' &&
+    (value.body == null || typeof value.body === 'string');
+};
+
+/**
+ * Web.unwrapEnvelope - Turns a response envelope back into a Web.Response
+ *
+ * WHY THIS EXISTS: web apps always answer 200 and drop custom headers (see
+ * GAS_QUIRKS.md). A client that asks for ?envelope=1 gets the real status,
+ * headers and body as JSON; this rebuilds the response the handler returned.
+ *
+ * Responses that are not envelopes are passed through, so it can sit on
+ * every fetch:
+ *   Web.fetch.use((request, next) => Web.unwrapEnvelope(next(request)));
+ *
+ * @param {Web.Response|string|Object} input - Fetched response, envelope JSON, or parsed envelope
+ * @returns {Web.Response} The response the envelope describes
+ * @throws {TypeError} If a string or object is not an envelope
+ */
+const unwrapEnvelope = function unwrapEnvelope(input) {
+  let envelope = input;
+  if (instanceOf(input, Web.Response)) {
+    try {
+      envelope = JSON.parse(input.text());
+    } catch (_) {
+      return input;
+    }
+    if (!isEnvelope(envelope)) {
+      return input;
+    }
+  } else if (typeof input === 'string') {
+    envelope = JSON.parse(input);
+  }
+  if (!isEnvelope(envelope)) {
+    throw new TypeError('Web.unwrapEnvelope: not a response envelope');
+  }
+
+  const headers = new Web.Headers();
+  for (const [name, value] of Object.entries(envelope.headers)) {
+    [value].flat().forEach(x => headers.append(name, Str(x)));
+  }
+  const body = envelope.base64 ? Utilities.base64Decode(envelope.body ?? '') : envelope.body;
+  const response = new Web.Response(body, {
+    status: envelope.status,
+    statusText: envelope.statusText,
+    headers
+  });
+  response[$statusText] = envelope.statusText ?? response[$statusText];
+  if (instanceOf(input, Web.Response)) {
+    response[$url] = input[$url];
+    response[$redirected] = input[$redirected];
+    response[$type] = input[$type];
+  }
+  return response;
+};
+
+setProperty(Web, {
+  unwrapEnvelope
+});
+
+// Query parameter naming the JSONP callback; null while JSONP is off
+let jsonpParam = null;
+
+// Words that cannot name a callback, even as part of a dotted path
+const reservedWords = new Set(('break case catch class const continue debugger default delete do else enum ' +
+  'export extends false finally for function if implements import in instanceof interface let new null ' +
+  'package private protected public return static super switch this throw true try typeof var void ' +
+  'while with yield await').split(' '));
+
+/**
+ * Checks a JSONP callback name: dotted identifiers with optional numeric
+ * indexes, such as `handle`, `app.handlers.users` or `jsonp[3]`
+ * @param {string} name - Callback name from the request
+ * @returns {boolean} True if it can be called safely
+ */
+const isSafeCallback = (name) => {
+  return name.length <= 128 &&
+    /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\[\d+\])*$/.test(name) &&
+    !name.split(/[.[]/).some(part => reservedWords.has(part));
+};
+
+/**
+ * Builds the check that a JSONP callback exists
+ * Every step of a dotted path is checked, since reading a.b.c throws when a
+ * is not defined or a.b is null
+ * @param {string} callback - Validated callback name
+ * @returns {string} Expression that is true if the callback can be called
+ */
+const callbackGuard = (callback) => {
+  const [root, ...steps] = callback.match(/[A-Za-z_$][\w$]*|\[\d+\]/g);
+  if (!steps.length) {
+    return `typeof ${root} === 'function'`;
+  }
+  let path = root;
+  const checks = [`typeof ${root} !== 'undefined'`, root];
+  steps.forEach((step, i) => {
+    path += step.startsWith('[') ? step : `.${step}`;
+    checks.push(i < steps.length - 1 ? path : `typeof ${path} === 'function'`);
+  });
+  return checks.join(' && ');
+};
+
+/**
+ * Wraps a response as a JSONP script
+ * JSON bodies are passed as they are; any other body is passed as a string.
+ * The leading comment keeps the output from starting with the callback name,
+ * which old plugins could be tricked into reading as something else.
+ * @param {Web.Response} response - Response to wrap
+ * @param {string} callback - Validated callback name
+ * @returns {Web.Response} application/javascript response calling callback(data, meta)
+ */
+const jsonpResponse = (response, callback) => {
+  const text = response.text?.() ?? '';
+  const data = canParseJSON(text) ? text : JSON.stringify(text);
+  const script = `/**/ ${callbackGuard(callback)} && ${callback}(${data}, ${JSON.stringify(responseMetadata(response))});`;
+  return new Web.Response(script.replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029'), {
+    headers: {
+      'Content-Type': 'application/javascript'
+    }
+  });
+};
+
+/**
+ * Web.setJsonpParam - Turns on JSONP output for requests with a callback parameter
+ *
+ * WHY OPT-IN: a script tag sends the visitor's Google cookies, so any page
+ * could read a JSONP response as the signed-in user. Only turn it on for
+ * data that any site may read.
+ *
+ * Example usage:
+ *   Web.setJsonpParam('callback');
+ *   // <script src=".../exec?callback=showUsers"></script> runs
+ *   // showUsers(data, { status, statusText, headers })
+ *
+ * @param {string|null} name - Query parameter holding the callback name, or null to turn JSONP off
+ * @returns {string|null} The previous parameter name
+ */
+setProperty(Web, {
+  setJsonpParam: function setJsonpParam(name) {
+    if (name !== undefined && name !== null && (typeof name !== 'string' || !name)) {
+      throw new TypeError('Web.setJsonpParam requires a parameter name or null');
+    }
+    const previous = jsonpParam;
+    jsonpParam = name ?? null;
+    return previous;
+  }
+});
+
+/**
+ * Gets where a redirect response points, if it is one the browser may follow
+ * Only http and https targets are followed, so a Location header can never
+ * run script in the page
+ * @param {Web.Response} response - Response to check
+ * @returns {string|null} Absolute target URL, or null if it is not a redirect
+ */
+const redirectLocation = (response) => {
+  const location = response.headers?.get?.('location');
+  if (!(response.status >= 300 && response.status < 400) || !location) {
+    return null;
+  }
+  try {
+    const url = webAppLocation(location);
+    return /^https?:$/.test(url.protocol) ? url.href : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+/**
+ * Escapes text for HTML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (text) => {
+  return Str(text).replace(/[&<>"']/g, x => `&#${x.charCodeAt(0)};`);
+};
+
+/**
+ * Builds a page that navigates the browser to a URL
+ *
+ * WHY A PAGE: web app output is served from a googleusercontent.com frame
+ * inside the script.google.com page, so neither a Location header nor a
+ * navigation of the frame itself reaches the address bar. The script moves
+ * the top window instead; when the sandbox blocks that without a click, the
+ * link (which targets the top window too) is left for the user.
+ *
+ * @param {string} url - Absolute http(s) URL
+ * @returns {string} HTML page
+ */
+const redirectPage = (url) => {
+  const target = JSON.stringify(url).replace(/</g, '\\u003c');
+  return `<!DOCTYPE html>
+<html>
+<head>
+<base target="_top">
+<title>Redirecting</title>
+</head>
+<body>
+<p>Redirecting to <a href="${escapeHtml(url)}" target="_top">${escapeHtml(url)}</a></p>
+<script>
+try {
+  window.top.location.replace(${target});
+} catch (e) {
+  window.open(${target}, '_top');
+}
+</script>
+</body>
+</html>`;
+};
+
 /**
  * Web.ResponseEvent - Response wrapper for returning from doGet/doPost handlers
  * 
@@ -355,6 +822,22 @@ const canCompile = x => {
  * 
  * This allows bidirectional compatibility: Web.Response can be used for outgoing
  * requests (with fetch), and ResponseEvent can be used for incoming request handlers.
+ *
+ * Envelope mode: the web app always answers 200 with only Google's headers.
+ * When the request has ?envelope=1 (or accepts application/vnd.web.envelope+json),
+ * the output is instead JSON of the form
+ *   { status, statusText, headers, body }
+ * with `base64: true` and a base64 body for binary content. Web.unwrapEnvelope
+ * turns it back into the original Web.Response on the client.
+ *
+ * JSONP: after Web.setJsonpParam('callback'), a request with ?callback=name
+ * gets `name(data, { status, statusText, headers })` as JavaScript instead,
+ * for pages that load the web app with a script tag. Callback names that are
+ * not plain dotted identifiers get a 400.
+ *
+ * Redirects: a 3xx response with an http(s) Location header (such as
+ * Web.Response.redirect(url)) becomes an HtmlService page that sends the
+ * browser to that URL, with a plain link in case the sandbox blocks it.
  * 
  * Example usage:
  *   function doPost(e) {
@@ -372,8 +855,41 @@ const ResponseEvent = class WebResponseEvent extends Web.Response {
   /**
    * Creates a new ResponseEvent from a Web.Response
    * @param {Web.Response} response - A Web.Response object to wrap
+   * @param {Web.RequestEvent} request - Optional request being answered; if it asked
+   *   for an envelope or JSONP, the output is the envelope JSON or the script instead
+   *   of the response body
    */
-  constructor(response) {
+  constructor(response, request) {
+    // Carry the real status and headers in the body, since Apps Script drops them
+    if (wantsEnvelope(request)) {
+      response = new Web.Response(JSON.stringify(responseEnvelope(response)), {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+    }
+
+    // Wrap the body in a script call when JSONP is on and asked for
+    const callback = jsonpParam && request?.parameter?.[jsonpParam];
+    if (callback != null) {
+      response = isSafeCallback(Str(callback)) ? jsonpResponse(response, Str(callback)) : new Web.Response('Invalid JSONP callback', {
+        status: 400,
+        headers: {
+          'Content-Type': 'text/plain'
+        }
+      });
+    }
+
+    // Apps Script cannot send a Location header, so navigate with a page instead
+    const location = redirectLocation(response);
+    if (location) {
+      return new Web.HtmlResponse(redirectPage(location), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+      });
+    }
+
     // Extract data from the response
     const bodyBlob = response.blob?.();
     const bodyText = bodyBlob?.text?.() || response.text?.() || '';
@@ -546,7 +1062,7 @@ const HtmlResponse = class WebHtmlResponse extends HtmlService.createHtmlOutput
    * @returns {Uint8Array} Byte array
    */
   bytes() {
-    return new Uint8Array(this.getContent());
+    return new Uint8Array(this[$body]?.getBytes?.() ?? []);
   }
 
   /**
@@ -577,11 +1093,12 @@ const HtmlResponse = class WebHtmlResponse extends HtmlService.createHtmlOutput
 
   /**
    * Gets response content as text
+   * Defaults to the charset named in the Content-Type header
    * @param {string} charset - Optional character set
    * @returns {string} Response text
    */
   getContentText(charset) {
-    return charset ? this[$body]?.getDataAsString?.(charset) : this[$body]?.getDataAsString?.();
+    return ResponseGetContentText(this, charset);
   }
 
   /**
@@ -14,21 +14,23 @@ const Request = class WebRequest extends UrlFetchApp.getRequest {
 
   /**
    * Creates a new Request object
-   * Supports three patterns:
+   * Supports these patterns:
    *   new Request(url)
    *   new Request(url, options)
+   *   new Request(request, options) - copies another Web.Request, with overrides
    *   new Request(options) - where options.url contains the URL
    * 
-   * @param {string|Object} url - Request URL or options object containing url
+   * @param {string|Web.URL|Web.Request|Object} url - Request URL, Request, or options object containing url
    * @param {Object} options - Request options (method, headers, body, etc.)
    */
   constructor(url, options = {}) {
     let $this;
 
-    // Handle new Request(options) pattern where url is actually the options object
-    if (typeof url === 'object' && url !== null && !options) {
-      options = url;
-      url = options.url || '';
+    // Handle Request, URL and options-object inputs the same way fetch does
+    if (typeof url === 'object' && url !== null) {
+      const input = fetchInput(url);
+      url = input.url ?? '';
+      options = mergeRequestInit(input.options, options);
     }
 
     // Default to GET method
@@ -47,7 +49,7 @@ const Request = class WebRequest extends UrlFetchApp.getRequest {
     }
 
     try {
-      $this = super(...arguments);
+      $this = super(url, options);
       $this.url = url;
       Object.assign($this, options ?? {});
       $this.headers = new Web.Headers(options.headers);
@@ -213,6 +215,84 @@ const defaultEvent = {
   contentLength: 0 // HTTP Content-Length header value
 };
 
+// Methods a method override may ask for
+const overridableMethods = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Methods a GET may be overridden to; anything else could be triggered by a plain link
+const safeMethods = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Finds a method override in a doGet/doPost event
+ * Checks the `_method` query or form field, then a `_method` property of a
+ * JSON object body, then a `_method` multipart field
+ * @param {Object} e - Event object
+ * @returns {string|undefined} Override as sent, or undefined if there is none
+ */
+const findMethodOverride = (e) => {
+  const parameter = e.parameter?._method;
+  const contents = Str(e.postData?.contents ?? '');
+  const type = Str(e.postData?.type ?? '').toLowerCase();
+  if (parameter !== undefined || !contents) {
+    return parameter;
+  }
+  if (/[/+]json/.test(type)) {
+    try {
+      return JSON.parse(contents)?._method;
+    } catch (_) {
+      return undefined;
+    }
+  }
+  if (type.startsWith('multipart/form-data')) {
+    return contents.match(/Content-Disposition: form-data; name="_method"\r\n(?:[^\r\n]+\r\n)*\r\n([^\r\n]*)/i)?.[1];
+  }
+  return undefined;
+};
+
+/**
+ * Checks whether a request that arrived as one method may be handled as another
+ * @param {string} method - Method the request arrived with (GET or POST)
+ * @param {string} requested - Uppercase method asked for
+ * @returns {boolean} True if the override is allowed
+ */
+const canOverrideMethod = (method, requested) => {
+  return overridableMethods.includes(requested) && (method !== 'GET' || safeMethods.includes(requested));
+};
+
+/**
+ * Gets the effective method of a doGet/doPost event
+ *
+ * Apps Script web apps only receive GET and POST, so clients send other
+ * methods as an override (see findMethodOverride). A POST may become any
+ * allowed method; a GET only another safe one, so links and redirects cannot
+ * trigger a DELETE.
+ *
+ * @param {Object} e - Event object, its `method` being the method it arrived with
+ * @returns {string} Uppercase method
+ * @throws {TypeError} If the `_method` override is not allowed (its hidden
+ *   '&status' is 400)
+ */
+const requestEventMethod = (e) => {
+  const method = Str(e.method || ((e.postData?.length > 0) ? 'POST' : 'GET')).toUpperCase();
+  if (!['GET', 'POST'].includes(method)) {
+    return method;
+  }
+  const override = findMethodOverride(e);
+  if (override === undefined || override === null) {
+    // The older `method` parameter is also an ordinary field name, so it only
+    // counts when it names a method this request may become
+    const legacy = Str(e.parameter?.method ?? '').trim().toUpperCase();
+    return canOverrideMethod(method, legacy) ? legacy : method;
+  }
+  const requested = Str(override).trim().toUpperCase();
+  if (!canOverrideMethod(method, requested)) {
+    const error = new TypeError(`Method override '${Str(override)}' is not allowed for a ${method} request`);
+    // Web.do answers with this status instead of a 500
+    setHidden(error, '&status', 400);
+    throw error;
+  }
+  return requested;
+};
+
 /**
  * Web.RequestEvent - Represents the event object passed to doGet(e) and doPost(e)
  * 
@@ -311,9 +391,12 @@ const RequestEvent = class WebRequestEvent extends Web.Request {
       // ScriptApp metadata not available
     }
 
+    // Apply any method override before the event's properties are copied over
+    eventData.method = requestEventMethod(eventData);
+
     // Call parent constructor with synthesized request data
     super(url || '/', {
-      method: eventData.method || ((eventData.postData?.length > 0) ? 'POST' : 'GET'),
+      method: eventData.method,
       headers: headers,
       body: eventData.postData?.contents || ''
     });
@@ -323,6 +406,12 @@ const RequestEvent = class WebRequestEvent extends Web.Request {
 
     this.handled = this.handled || false;
 
+    // Path parameters, filled in by Web.Router
+    this.params = this.params ?? {};
+
+    // Aborts shortly before Apps Script kills the execution
+    this.signal = this.signal ?? Web.AbortSignal.timeout(Math.max(0, executionDeadline - Date.now()));
+
     return Object.setPrototypeOf(this, Web.RequestEvent.prototype);
   }
 
@@ -376,12 +465,35 @@ const RequestEvent = class WebRequestEvent extends Web.Request {
     return this
   }
 
-  waitUntil() {}
+  /**
+   * Defers work until after this execution, see Web.tasks
+   * @param {string|Function} task - Global function, or its name
+   * @param {*} payload - JSON-serializable argument for the function
+   * @returns {string|undefined} Task id, or undefined if there is no task to queue
+   */
+  waitUntil(task, payload) {
+    return waitUntilTask(task, payload);
+  }
 
+  /**
+   * Answers the request, ending the fetch listener dispatch
+   * @param {Web.Response|*} response - Response for the request
+   * @throws {Web.DOMException} InvalidStateError if the request was already answered
+   */
   respondWith(response) {
+    if (this['&respondWith'] !== undefined) {
+      throw new Web.DOMException('The event has already been responded to.', 'InvalidStateError');
+    }
     setHidden(this, '&respondWith', response);
   }
 
+  /**
+   * Stops the remaining fetch listeners from being called
+   */
+  stopImmediatePropagation() {
+    setHidden(this, '&stopImmediatePropagation', true);
+  }
+
 };
 
 setProperty(Web, {
@@ -20,6 +20,475 @@ const defaultOptions = {
   method: 'GET'
 };
 
+/**
+ * Throws for error status codes if exceptions are not muted,
+ * matching UrlFetchApp's own behavior
+ * @param {number} status - Response status code
+ * @param {Object} requestOptions - Options the request was made with
+ */
+const checkStatus = (status, requestOptions) => {
+  if (requestOptions.muteHttpExceptions === false && (status >= 400 || status <= 0 || !status)) {
+    throw new Error(`Fetch error ${Str(status)}`);
+  }
+};
+
+/**
+ * Augments a native UrlFetchApp HTTPResponse into a Web.Response
+ *
+ * WHY SETPROTOTYPEOF: UrlFetchApp.fetch() returns a Google HTTPResponse
+ * object. Rather than wrapping it, we augment it by changing its prototype
+ * to Web.Response. This gives it all our Web API methods (.json(), .text(),
+ * etc.) while preserving its internal Google properties. It's both a valid
+ * HTTPResponse AND a valid Web.Response.
+ *
+ * @param {HTTPResponse} response - Native response from UrlFetchApp
+ * @param {Object} requestOptions - Options the request was made with
+ * @returns {Web.Response} The same response object, augmented
+ */
+const augmentResponse = (response, requestOptions) => {
+  const status = response.getResponseCode();
+  checkStatus(status, requestOptions);
+
+  // Initialize private symbols for augmented responses
+  response[$status] = status;
+  response[$statusText] = statusCodeMap[status];
+
+  // Set up headers
+  response[$headers] = new Web.Headers(response.getAllHeaders());
+  if (!response.headers) {
+    response.headers = response[$headers];
+  }
+  Object.setPrototypeOf(response.headers, Web.Headers.prototype);
+
+  // Set up body from the raw response bytes
+  // WHY NOT getContentText: decoding to a string here corrupts images, PDFs,
+  // zips and any non-UTF-8 text before bytes()/blob() ever see it. Keeping the
+  // raw bytes defers decoding to text()/json(), which honor the charset.
+  try {
+    response[$body] = new Web.Blob(response.getContent(), response.headers.get('content-type'));
+  } catch (e) {
+    // If getting content fails, create empty blob
+    response[$body] = new Web.Blob('');
+  }
+
+  return Object.setPrototypeOf(response, Web.Response.prototype);
+};
+
+// Matches the redirect limit browsers use
+const maxRedirects = 20;
+
+// Headers describing a request body, dropped when a redirect discards the body
+const requestBodyHeaders = ['content-type', 'content-length', 'content-encoding', 'content-language', 'content-location'];
+
+/**
+ * Resolves the redirect mode for a request and configures UrlFetchApp to
+ * hand every 3xx back to us
+ *
+ * WHY WE FOLLOW REDIRECTS OURSELVES: UrlFetchApp's followRedirects never
+ * reports the final URL or whether a redirect happened, and it forwards the
+ * Authorization header to whatever host it is sent to. Following hops here
+ * lets us expose response.url/response.redirected and apply the fetch spec's
+ * method rewriting and credential stripping.
+ *
+ * A bare `followRedirects: false` is honored as redirect: 'manual'.
+ *
+ * @param {Object} requestOptions - Merged request options (mutated)
+ * @returns {Object} The same options with redirect and followRedirects set
+ */
+const redirectOptions = (requestOptions) => {
+  const mode = Str(requestOptions.redirect ?? (requestOptions.followRedirects === false ? 'manual' : 'follow')).toLowerCase();
+  if (!['follow', 'manual', 'error'].includes(mode)) {
+    throw new TypeError(`Invalid redirect mode: ${mode}`);
+  }
+  requestOptions.redirect = mode;
+  requestOptions.followRedirects = false;
+  return requestOptions;
+};
+
+/**
+ * Builds the request options for the next redirect hop
+ * - 303 turns anything but GET/HEAD into a body-less GET
+ * - 301/302 turn POST into a body-less GET (matching browsers)
+ * - Authorization is dropped when the hop crosses origins
+ * @param {Object} requestOptions - Options of the previous hop
+ * @param {number} status - Redirect status code
+ * @param {string} from - URL that redirected
+ * @param {string} to - URL being redirected to
+ * @returns {Object} Options for the next hop
+ */
+const redirectHopOptions = (requestOptions, status, from, to) => {
+  const options = {
+    ...requestOptions,
+    headers: new Web.Headers(requestOptions.headers)
+  };
+  const method = Str(options.method ?? 'GET').toUpperCase();
+  if ((status === 303 && !['GET', 'HEAD'].includes(method)) || ([301, 302].includes(status) && method === 'POST')) {
+    options.method = 'GET';
+    delete options.body;
+    delete options.payload;
+    delete options.contentType;
+    requestBodyHeaders.forEach(name => options.headers.delete(name));
+  }
+  if (new Web.URL(from).origin !== new Web.URL(to).origin) {
+    options.headers.delete('authorization');
+  }
+  return options;
+};
+
+/**
+ * Applies the redirect mode to an augmented response, fetching each hop
+ * until a non-redirect response arrives
+ * @param {Web.Response} response - Augmented response for the first hop
+ * @param {string} url - URL the response came from
+ * @param {Object} requestOptions - Options prepared by redirectOptions
+ * @param {Web.AbortSignal} signal - Optional signal checked before each hop
+ * @param {Function} send - Sends one hop, from transportSender
+ * @returns {Web.Response} Final response with url/redirected/type populated
+ */
+const followRedirects = (response, url, requestOptions, signal, send) => {
+  let redirects = 0;
+  while (true) {
+    signal?.throwIfAborted();
+    response[$url] = Str(url);
+    response[$redirected] = redirects > 0;
+    response[$type] = 'basic';
+
+    const location = response.headers.get('location');
+    if (requestOptions.redirect === 'manual' && redirectStatuses.includes(response.status)) {
+      // Status and Location stay readable; the spec's filtered response
+      // hides them, which would leave nothing to act on
+      response[$type] = 'opaqueredirect';
+      return response;
+    }
+    if (requestOptions.redirect === 'manual' || !location || !redirectStatuses.includes(response.status)) {
+      return response;
+    }
+    if (requestOptions.redirect === 'error') {
+      throw new TypeError(`Redirect from ${Str(url)} to ${Str(location)} not allowed by redirect mode 'error'`);
+    }
+    if (++redirects > maxRedirects) {
+      throw new TypeError(`Too many redirects fetching ${Str(url)}`);
+    }
+
+    const next = new Web.URL(location, Str(url)).href;
+    requestOptions = redirectHopOptions(requestOptions, response.status, Str(url), next);
+    applySignal(signal, requestOptions);
+    url = next;
+    response = send(url, requestOptions);
+  }
+};
+
+/**
+ * Default retry policy, used when `retry: true` or a partial policy is given
+ *
+ * - limit: retries after the first attempt
+ * - backoff: base delay in ms, doubled on every retry
+ * - maxDelay: longest we will sleep; a longer Retry-After ends retrying
+ * - jitter: randomize each delay between 0 and the backoff ("full jitter")
+ *   so parallel executions don't retry in lockstep
+ * - statuses: response codes worth retrying
+ * - methods: idempotent methods only, so a POST is never sent twice
+ *   unless the caller opts in by listing it
+ */
+const defaultRetry = {
+  limit: 3,
+  backoff: 500,
+  maxDelay: 30000,
+  jitter: true,
+  statuses: [408, 425, 429, 500, 502, 503, 504],
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE']
+};
+
+/**
+ * Normalizes the `retry` fetch option into a full policy
+ * @param {boolean|number|Object} retry - true, a retry limit, or a partial policy
+ * @returns {Object} Retry policy (limit 0 when retrying is off)
+ */
+const retryPolicy = (retry) => {
+  if (!retry) {
+    return {
+      ...defaultRetry,
+      limit: 0
+    };
+  }
+  if (retry === true) {
+    return {
+      ...defaultRetry
+    };
+  }
+  if (typeof retry === 'number') {
+    return {
+      ...defaultRetry,
+      limit: retry
+    };
+  }
+  const policy = {
+    ...defaultRetry,
+    ...retry
+  };
+  policy.methods = policy.methods.map(method => Str(method).toUpperCase());
+  return policy;
+};
+
+/**
+ * Reads a Retry-After header in either delta-seconds or HTTP-date form
+ * @param {Web.Response} response - Response to inspect
+ * @returns {number|undefined} Delay in milliseconds, if the header is usable
+ */
+const retryAfter = (response) => {
+  const value = Str(response?.headers?.get?.('retry-after') ?? '').trim();
+  if (!value) return;
+  if (/^\d+$/.test(value)) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+};
+
+/**
+ * Runs a fetch attempt, retrying retryable statuses and network errors
+ * with exponential backoff, and records the attempt count on the response
+ * Other errors (unmuted HTTP errors, redirect failures) are thrown at once
+ *
+ * WHY SLEEP: Apps Script is synchronous and has no timers, so
+ * Utilities.sleep() is the only way to wait between attempts. We never sleep
+ * past the request's AbortSignal deadline - the last response is returned
+ * instead.
+ *
+ * @param {Object} policy - Policy from retryPolicy
+ * @param {string} method - Request method
+ * @param {Web.AbortSignal} signal - Optional abort signal
+ * @param {Function} attempt - Performs one attempt and returns a Web.Response
+ * @returns {Web.Response} Final response, with '&attempts' set (read as response.attempts)
+ */
+const fetchWithRetry = (policy, method, signal, attempt) => {
+  const retryable = policy.methods.includes(Str(method ?? 'GET').toUpperCase());
+  for (let attempts = 1;; attempts++) {
+    let response;
+    let error;
+    try {
+      response = attempt();
+    } catch (e) {
+      error = e;
+    }
+
+    let delay;
+    if (retryable && attempts <= policy.limit && !signal?.aborted &&
+      (error ? error['&network'] : policy.statuses.includes(response.status))) {
+      const backoff = Math.min(policy.maxDelay, policy.backoff * 2 ** (attempts - 1));
+      delay = retryAfter(response) ?? (policy.jitter ? Math.floor(Math.random() * backoff) : backoff);
+    }
+
+    const deadline = signal ? signalDeadline(signal) : Infinity;
+    if (delay === undefined || delay > policy.maxDelay || Date.now() + delay >= deadline) {
+      if (error) {
+        throw error;
+      }
+      setHidden(response, '&attempts', attempts);
+      return response;
+    }
+
+    console.warn(`Fetch attempt ${attempts} failed, retrying in ${delay}ms:`, error ?? response.status);
+    Utilities.sleep(delay);
+  }
+};
+
+/**
+ * Settles a failed fetch: aborts throw the abort reason, unmuted exceptions
+ * rethrow, and everything else becomes a network error response
+ * (Web.Response.error(), status 0), as a browser fetch would reject
+ * @param {Error} e - The error that was thrown
+ * @param {Object} requestOptions - Options the request was made with
+ * @param {Web.AbortSignal} signal - Optional abort signal
+ * @returns {Web.Response} Network error response
+ */
+const fetchFailure = (e, requestOptions, signal) => {
+  console.warn('Fetch error:', e);
+  // Aborts always throw, like a rejected browser fetch, even when muted
+  if (signal?.aborted) {
+    throw signal.reason;
+  }
+  // Handle errors
+  if (requestOptions.muteHttpExceptions === false) {
+    throw e;
+  }
+
+  // Return a network error response
+  return Web.Response.error();
+};
+
+/**
+ * Transport installed with Web.fetch.setTransport (null means UrlFetchApp)
+ */
+let fetchTransport = null;
+
+/**
+ * Normalizes a transport into a function taking a Web.Request
+ * Accepts a function, an object with a fetch(request) method (such as
+ * Web.MockTransport), or a plain handler table for Web.MockTransport
+ * @param {Function|Object} transport - Transport to normalize
+ * @returns {Function|null} Transport function, or null for UrlFetchApp
+ */
+const resolveTransport = (transport) => {
+  if (!transport) {
+    return null;
+  }
+  if (typeof transport === 'function') {
+    return transport;
+  }
+  if (typeof transport.fetch !== 'function') {
+    transport = new Web.MockTransport(transport);
+  }
+  return request => transport.fetch(request);
+};
+
+/**
+ * Marks an error thrown by a transport as a network failure, the only kind
+ * of error fetchWithRetry retries
+ * @param {*} error - Error thrown while sending
+ * @returns {*} The same error
+ */
+const networkError = (error) => {
+  if (error !== null && typeof error === 'object') {
+    setHidden(error, '&network', true);
+  }
+  return error;
+};
+
+/**
+ * Builds the function that sends a single HTTP exchange (one redirect hop,
+ * one retry attempt) over a transport
+ *
+ * WHY A TRANSPORT: Everything above the wire - redirects, retries, aborts,
+ * middleware - is plain library code, so swapping only the final
+ * UrlFetchApp.fetch call lets all of it run against an in-memory stand-in.
+ *
+ * @param {Function|null} transport - From resolveTransport
+ * @returns {Function} (url, requestOptions) => Web.Response
+ */
+const transportSender = (transport) => (url, requestOptions) => {
+  let response;
+  try {
+    // UrlFetchApp always mutes here, so whatever it throws is a network failure;
+    // checkStatus raises unmuted HTTP errors afterwards
+    response = transport ? transport(new Web.Request(Str(url), {
+      ...requestOptions
+    })) : UrlFetchApp.fetch(Str(url), {
+      ...requestOptions,
+      muteHttpExceptions: true
+    });
+  } catch (e) {
+    throw networkError(e);
+  }
+  if (!transport) {
+    return augmentResponse(response, requestOptions);
+  }
+  if (!instanceOf(response, Web.Response)) {
+    response = new Web.Response(response);
+  }
+  checkStatus(response.status, requestOptions);
+  return response;
+};
+
+/**
+ * Sends one request through the transport, applying HTTP cache, redirect,
+ * abort and retry handling
+ * @param {string} url - URL to fetch
+ * @param {Object} requestOptions - Options merged with defaultOptions (mutated)
+ * @returns {Web.Response} Response object
+ */
+const sendRequest = (url, requestOptions) => {
+  redirectOptions(requestOptions);
+
+  const cacheMode = httpCacheMode(requestOptions.cache);
+  delete requestOptions.cache;
+
+  // The signal is ours to check; UrlFetchApp only sees the deadline it maps to
+  const signal = requestOptions.signal;
+  delete requestOptions.signal;
+
+  const policy = retryPolicy(requestOptions.retry);
+  delete requestOptions.retry;
+
+  const cookieJar = Boolean(requestOptions.cookieJar);
+  const send = cookieSender(requestOptions.cookieJar,
+    transportSender(resolveTransport(requestOptions.transport ?? fetchTransport)));
+  delete requestOptions.transport;
+  delete requestOptions.cookieJar;
+
+  try {
+    applySignal(signal, requestOptions);
+    return httpCacheFetch(cacheMode, url, requestOptions, options => {
+      return fetchWithRetry(policy, options.method, signal, () => {
+        // Perform the fetch using Google's UrlFetchApp (or the installed transport)
+        const response = send(url, options);
+        return followRedirects(response, url, options, signal, send);
+      });
+    }, cookieJar);
+  } catch (e) {
+    return fetchFailure(e, requestOptions, signal);
+  }
+};
+
+/**
+ * Registered fetch middleware, run in order by every Web.fetch call
+ */
+const fetchMiddleware = [];
+
+/**
+ * Runs a request through a middleware chain, ending in sendRequest
+ *
+ * Each middleware is called as `middleware(request, next)` and may:
+ * - return `next(request)` (optionally passing a different Web.Request)
+ *   and post-process the response it gets back
+ * - return a Web.Response to short-circuit the chain without fetching
+ * - return a Web.Request to continue the chain with that request
+ * - return nothing to continue with the same request
+ *
+ * @param {Array<Function>} middleware - Middleware to run, in order
+ * @param {Web.Request} request - Request built from the fetch arguments
+ * @param {Object} requestOptions - Options merged with defaultOptions
+ * @returns {Web.Response} Response object
+ */
+const runFetchMiddleware = (middleware, request, requestOptions) => {
+  const dispatch = (index, req) => {
+    if (index >= middleware.length) {
+      const {
+        url,
+        options
+      } = fetchInput(req);
+      return sendRequest(url, {
+        ...defaultOptions,
+        ...options
+      });
+    }
+
+    let called = false;
+    let nextResponse;
+    const next = (nextReq = req) => {
+      called = true;
+      return nextResponse = dispatch(index + 1, nextReq);
+    };
+
+    const result = middleware[index](req, next);
+    if (instanceOf(result, Web.Response)) {
+      return result;
+    }
+    if (instanceOf(result, Web.Request)) {
+      return dispatch(index + 1, result);
+    }
+    return called ? nextResponse : dispatch(index + 1, req);
+  };
+
+  try {
+    return dispatch(0, request);
+  } catch (e) {
+    return fetchFailure(e, requestOptions, requestOptions.signal);
+  }
+};
+
 /**
  * Web.fetch - Fetch API implementation using Google's UrlFetchApp
  * Makes HTTP requests with Web-standard API
@@ -32,76 +501,377 @@ const defaultOptions = {
  * signaling that Web.fetch is an enhanced version of the underlying API.
  * Similar to Request extending getRequest - it's about API relationship.
  * 
- * @param {string} url - URL to fetch
+ * Middleware registered with Web.fetch.use() runs first, followed by any
+ * passed for this call only via the `middleware` option.
+ * 
+ * The input may be a URL string, a Web.URL or Web.Location (its href is
+ * used), or a Web.Request whose url, method, headers and body are used
+ * unless overridden by the options.
+ * 
+ * @param {string|Web.URL|Web.Request} input - Resource to fetch
  * @param {Object} options - Request options
  * @returns {Web.Response} Response object
  */
-const fetch = Object.setPrototypeOf(function WebFetch(url, options) {
-  // Merge default options with provided options
+const fetch = Object.setPrototypeOf(function WebFetch(input, options) {
+  const {
+    url,
+    options: inputOptions
+  } = fetchInput(input);
+
+  // Merge default options with the input's and the provided options
   const requestOptions = {
     ...defaultOptions,
-    ...options ?? {}
+    ...mergeRequestInit(inputOptions, options)
   };
 
-  // Create request object (for consistency)
+  const middleware = [...fetchMiddleware, ...[requestOptions.middleware ?? []].flat()];
+  delete requestOptions.middleware;
+
+  // Create request object (for consistency, and as the middleware input)
   const request = new Web.Request(url, requestOptions);
 
-  try {
-    // Perform the fetch using Google's UrlFetchApp
-    const response = UrlFetchApp.fetch(Str(url), requestOptions);
+  if (!middleware.length) {
+    return sendRequest(url, requestOptions);
+  }
+  return runFetchMiddleware(middleware, request, requestOptions);
+}, UrlFetchApp.fetch);
 
-    // Check for error status codes if exceptions are not muted
-    const status = response.getResponseCode();
-    if (requestOptions.muteHttpExceptions === false && (status >= 400 || status <= 0 || !status)) {
-      throw new Error(`Fetch error ${Str(status)}`);
+/**
+ * Web.fetch.use - Registers middleware for every Web.fetch call
+ *
+ * Example usage:
+ *   const remove = Web.fetch.use((request, next) => {
+ *     request.headers.set('Authorization', 'Bearer ' + token);
+ *     const start = Date.now();
+ *     const response = next(request);
+ *     console.log(request.url, response.status, Date.now() - start);
+ *     return response;
+ *   });
+ *   remove(); // stop using it
+ *
+ * @param {Function} middleware - Function receiving (request, next)
+ * @returns {Function} Function that removes the middleware again
+ */
+setProperty(fetch, {
+  use: function use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Web.fetch.use requires a middleware function');
     }
+    fetchMiddleware.push(middleware);
+    return () => Web.fetch.unuse(middleware);
+  }
+});
 
-    // Augment response with Web.Response prototype
-    // WHY SETPROTOTYPEOF: UrlFetchApp.fetch() returns a Google HTTPResponse
-    // object. Rather than wrapping it, we augment it by changing its prototype
-    // to Web.Response. This gives it all our Web API methods (.json(), .text(),
-    // etc.) while preserving its internal Google properties. It's both a valid
-    // HTTPResponse AND a valid Web.Response.
-
-    // Initialize private symbols for augmented responses
-    response[$status] = status;
-    response[$statusText] = statusCodeMap[status];
-
-    // Set up headers
-    response[$headers] = new Web.Headers(response.getAllHeaders());
-    if (!response.headers) {
-      response.headers = response[$headers];
+/**
+ * Web.fetch.setTransport - Replaces UrlFetchApp as the network layer
+ *
+ * The transport receives each outgoing Web.Request (after middleware, once
+ * per redirect hop and retry) and returns a Web.Response. Pass a
+ * Web.MockTransport, a function, or a handler table; pass nothing to go
+ * back to UrlFetchApp. A `transport` fetch option overrides it per call.
+ *
+ * Example usage:
+ *   const mock = new Web.MockTransport({ 'GET https://api.example.com/users': [] });
+ *   const previous = Web.fetch.setTransport(mock);
+ *   try { ... } finally { Web.fetch.setTransport(previous); }
+ *
+ * @param {Function|Object} transport - New transport, or nothing for UrlFetchApp
+ * @returns {Function|Object|null} The previously installed transport
+ */
+setProperty(fetch, {
+  setTransport: function setTransport(transport) {
+    const previous = fetchTransport;
+    fetchTransport = transport || null;
+    return previous;
+  }
+});
+
+/**
+ * Web.fetch.unuse - Removes middleware registered with Web.fetch.use
+ * @param {Function} middleware - Middleware to remove
+ */
+setProperty(fetch, {
+  unuse: function unuse(middleware) {
+    const index = fetchMiddleware.indexOf(middleware);
+    if (index !== -1) {
+      fetchMiddleware.splice(index, 1);
     }
-    Object.setPrototypeOf(response.headers, Web.Headers.prototype);
+  }
+});
+
+setProperty(Web, {
+  fetch
+});
+
+/**
+ * Normalizes one fetch input into a url and options pair
+ * Accepts URL strings, Web.URL objects, option objects carrying a url,
+ * or Web.Request instances
+ * @param {string|Web.URL|Object|Web.Request} input - Fetch input
+ * @returns {{url: string, options: Object}} URL and request options
+ */
+const fetchInput = (input) => {
+  if (instanceOf(input, Web.Request)) {
+    const {
+      url,
+      ...options
+    } = input;
+    options.headers = new Web.Headers(input.headers);
+    if (input[$body]) {
+      options.payload = input[$body];
+    }
+    return {
+      url,
+      options
+    };
+  }
+  if (instanceOf(input, Web.URL)) {
+    return {
+      url: input.href,
+      options: {}
+    };
+  }
+  if (isString(input)) {
+    return {
+      url: Str(input),
+      options: {}
+    };
+  }
+  const {
+    url,
+    ...options
+  } = input ?? {};
+  return {
+    url,
+    options
+  };
+};
 
-    // Set up body from response content
+/**
+ * Applies init overrides on top of the options taken from a fetch input
+ *
+ * WHY BODY IS SPECIAL: Web.Request syncs `body` and `payload`, so an input
+ * Request carries both. An override of either one must drop both, or the
+ * stale payload would win over the new body.
+ *
+ * @param {Object} options - Options from fetchInput
+ * @param {Object} init - Overrides passed alongside the input
+ * @returns {Object} Merged options
+ */
+const mergeRequestInit = (options, init) => {
+  options = {
+    ...options
+  };
+  init = init ?? {};
+  if ('body' in init || 'payload' in init) {
+    delete options.body;
+    delete options.payload;
+  }
+  return {
+    ...options,
+    ...init
+  };
+};
+
+/**
+ * Web.fetchAll - Parallel batch fetching using Google's UrlFetchApp.fetchAll
+ *
+ * @see https://developers.google.com/apps-script/reference/url-fetch/url-fetch-app#fetchAll(Object) (Google Apps Script - UrlFetchApp.fetchAll)
+ *
+ * WHY PER-ITEM ERRORS: UrlFetchApp.fetchAll() throws for the whole batch when
+ * any single request fails (bad URL, DNS failure). Browser code using
+ * Promise.allSettled expects each request to stand alone, so when the batch
+ * throws we resend each item on its own to isolate the failure, and every
+ * failed item becomes its own network error response. Aborts are the
+ * exception: like Web.fetch (and Promise.all over browser fetches), an
+ * aborted item throws its signal's reason.
+ * Only idempotent methods are resent: a POST in a failed batch may already
+ * have been delivered, so it gets a network error response instead.
+ *
+ * Requests with a `retry` option, and every request while fetch middleware
+ * is registered, are sent on their own, like Web.fetch.
+ *
+ * Example usage:
+ *   const [users, posts] = Web.fetchAll([
+ *     'https://api.example.com/users',
+ *     { url: 'https://api.example.com/posts', method: 'POST', body: '{}' }
+ *   ]);
+ *
+ * @param {Array<string|Web.URL|Object|Web.Request>} inputs - Requests to make
+ * @returns {Array<Web.Response>} Responses in the same order as inputs
+ */
+const fetchAll = Object.setPrototypeOf(function WebFetchAll(inputs) {
+  const responses = [];
+  const batch = [];
+
+  [...inputs ?? []].forEach((input, index) => {
+    let signal;
     try {
-      response[$body] = new Web.Blob(response.getContentText(), response.headers.get('content-type'));
+      const {
+        url,
+        options
+      } = fetchInput(input);
+      const requestOptions = {
+        ...defaultOptions,
+        ...options
+      };
+      signal = requestOptions.signal;
+      const middleware = [...fetchMiddleware, ...[requestOptions.middleware ?? []].flat()];
+      delete requestOptions.middleware;
+      // Validates the input and syncs body/payload the same way fetch does
+      const request = new Web.Request(url, requestOptions);
+
+      // Middleware wraps a single send, so those requests go out one by one
+      if (middleware.length) {
+        responses[index] = runFetchMiddleware(middleware, request, requestOptions);
+        return;
+      }
+
+      // Transports have no batch API, cookie jars and the HTTP cache must see
+      // each response as it arrives, and retries resend single requests, so
+      // those are sent one by one. A false or empty option asks for none of that
+      if (requestOptions.transport || fetchTransport || requestOptions.cookieJar || requestOptions.cache || requestOptions.retry) {
+        responses[index] = sendRequest(url, requestOptions);
+        return;
+      }
+
+      redirectOptions(requestOptions);
+      delete requestOptions.signal;
+      applySignal(signal, requestOptions);
+      batch.push({
+        index,
+        url,
+        requestOptions,
+        signal
+      });
     } catch (e) {
-      // If getting content fails, create empty blob
-      response[$body] = new Web.Blob('');
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      console.warn('Fetch error:', e);
+      responses[index] = Web.Response.error();
     }
+  });
+
+  if (!batch.length) {
+    return responses;
+  }
 
-    return Object.setPrototypeOf(response, Web.Response.prototype);
+  let results;
+  try {
+    results = UrlFetchApp.fetchAll(batch.map(({
+      url,
+      requestOptions
+    }) => ({
+      ...requestOptions,
+      // HTTP errors are raised per item by augmentResponse, not for the whole batch
+      muteHttpExceptions: true,
+      url: Str(url)
+    })));
   } catch (e) {
-    console.warn('Fetch error:', e);
-    // Handle errors
-    if (requestOptions.muteHttpExceptions === false) {
-      throw e;
+    console.warn('Fetch batch error, resending idempotent requests individually:', e);
+  }
+
+  batch.forEach(({
+    index,
+    url,
+    requestOptions,
+    signal
+  }, i) => {
+    try {
+      if (results) {
+        responses[index] = followRedirects(augmentResponse(results[i], requestOptions), url, requestOptions, signal, transportSender(null));
+      } else if (defaultRetry.methods.includes(Str(requestOptions.method ?? 'GET').toUpperCase())) {
+        responses[index] = sendRequest(url, {
+          ...requestOptions,
+          signal
+        });
+      } else {
+        console.warn(`Not resending ${Str(requestOptions.method)} ${Str(url)} from a failed batch`);
+        responses[index] = Web.Response.error();
+      }
+    } catch (e) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      console.warn('Fetch error:', e);
+      responses[index] = Web.Response.error();
     }
+  });
 
-    // Return error response
-    return new Web.Response(`500 ${Str(e)}`, {
-      status: 500,
-      statusText: Str(e)
-    });
-  }
-}, UrlFetchApp.fetch);
+  return responses;
+}, UrlFetchApp.fetchAll);
 
 setProperty(Web, {
-  fetch
+  fetchAll
 });
 
+/**
+ * Registered request middleware, run in order by every Web.do call
+ */
+const requestMiddleware = [];
+
+/**
+ * Turns whatever a handler or middleware returned into a response
+ * Web.Responses (including ResponseEvents) and ContentService/HtmlService
+ * outputs are kept as-is; anything else becomes a text/plain body
+ * @param {*} result - Returned value
+ * @returns {Web.Response|ContentService.TextOutput|HtmlService.HtmlOutput} Response
+ */
+const handlerResponse = (result) => {
+  if (instanceOf(result, Web.Response) || result?.getContent || result?.getAs) {
+    return result;
+  }
+  return new Web.Response(result, {
+    headers: {
+      'Content-Type': 'text/plain'
+    }
+  });
+};
+
+/**
+ * Runs an incoming request through the middleware chain, ending in the handler
+ *
+ * Each middleware is called as `middleware(event, next)` and may:
+ * - call `next()` to get the downstream response, then change or replace it
+ * - return a response without calling `next()` to short-circuit the chain
+ * - return nothing to continue (with the downstream response if it called next)
+ *
+ * @param {Array<Function>} middleware - Middleware to run, in order
+ * @param {Web.RequestEvent} event - Incoming request
+ * @param {Function} handler - (event) => response, the end of the chain
+ * @returns {Web.Response|ContentService.TextOutput|HtmlService.HtmlOutput} Response
+ */
+const runRequestMiddleware = (middleware, event, handler) => {
+  const dispatch = (index) => {
+    if (index >= middleware.length) {
+      return handlerResponse(handler(event) ?? event['&respondWith']);
+    }
+
+    let called = false;
+    let nextResponse;
+    const next = () => {
+      // Calling next() again returns the same response instead of re-running the chain
+      if (!called) {
+        called = true;
+        nextResponse = dispatch(index + 1);
+      }
+      return nextResponse;
+    };
+
+    const result = middleware[index](event, next);
+    if (result !== undefined) {
+      return handlerResponse(result);
+    }
+    // A middleware may also answer through event.respondWith()
+    if (!called && event['&respondWith'] !== undefined) {
+      return handlerResponse(event['&respondWith']);
+    }
+    return next();
+  };
+  return dispatch(0);
+};
+
 /**
  * Web.do - Universal handler wrapper for doGet/doPost
  * 
@@ -113,6 +883,8 @@ setProperty(Web, {
  * 
  * This eliminates boilerplate and ensures consistent request/response handling.
  * 
+ * Middleware registered with Web.use() runs first, around the handler.
+ * 
  * Example usage:
  *   function doGet(e) { return Web.do(e); }
  *   function doPost(e) { return Web.do(e); }
@@ -139,48 +911,30 @@ const WebDo = function WebDo(request, handler) {
       request :
       new Web.RequestEvent(request);
 
-    // If handler provided, call it and wrap response
-    if (handler && typeof handler === 'function') {
-      const response = handler(req);
-
-      // If response is already a ResponseEvent, return it
-      if (instanceOf(response, Web.ResponseEvent)) {
-        return response;
-      }
-
-      // If response is a Web.Response, wrap it
-      if (instanceOf(response, Web.Response)) {
-        return new Web.ResponseEvent(response);
-      }
-
-      // If response is already a ContentService/HtmlService output, return as-is
-      if (response?.getContent || response?.getAs) {
-        return response;
-      }
-
-      // Otherwise, create a response from the returned value
-      return new Web.ResponseEvent(new Web.Response(response, {
+    // No handler provided - respond with the request info
+    if (typeof handler !== 'function') {
+      handler = (event) => new Web.Response(JSON.stringify({
+        method: event.method,
+        url: event.url,
+        parameters: event.parameters,
+        message: 'No handler provided to Web.do()'
+      }), {
+        status: 200,
         headers: {
-          'Content-Type': 'text/plain'
+          'Content-Type': 'application/json'
         }
-      }));
+      });
     }
 
-    // No handler provided - return a default response with request info
-    const defaultResponse = new Web.Response(JSON.stringify({
-      method: req.method,
-      url: req.url,
-      parameters: req.parameters,
-      message: 'No handler provided to Web.do()'
-    }), {
-      status: 200,
-      headers: {
-        'Content-Type': 'application/json'
-      }
-    });
+    const response = runRequestMiddleware(requestMiddleware, req, handler);
+
+    // If response is already a ResponseEvent or a ContentService/HtmlService output, return as-is
+    if (instanceOf(response, Web.ResponseEvent) || !instanceOf(response, Web.Response)) {
+      return response;
+    }
 
-    const responseEvent = new Web.ResponseEvent(defaultResponse);
-    return responseEvent;
+    // Wrap a Web.Response for Apps Script
+    return new Web.ResponseEvent(response, req);
 
   } catch (error) {
     // Error handling - return error response
@@ -189,15 +943,19 @@ const WebDo = function WebDo(request, handler) {
       message: error.message || 'An error occurred',
       stack: error.stack
     }), {
-      status: 500,
+      // Errors caused by the request itself (such as a rejected method override) carry their own status
+      status: error?.['&status'] ?? 500,
       headers: {
         'Content-Type': 'application/json'
       }
     });
 
-    return new Web.ResponseEvent(errorResponse);
+    return new Web.ResponseEvent(errorResponse, req);
   } finally {
-    req.handled = true;
+    // req is unset when the event could not be turned into a RequestEvent
+    if (req) {
+      req.handled = true;
+    }
   }
 };
 
@@ -205,21 +963,109 @@ setProperty(Web, {
   do: WebDo
 });
 
+/**
+ * Web.use - Registers middleware for every incoming request
+ *
+ * Middleware runs in Web.do, so it applies to doGet and doPost alike, and to
+ * handlers added with Web.addEventListener('fetch', ...).
+ *
+ * Example usage:
+ *   const remove = Web.use((event, next) => {
+ *     if (event.parameter.key !== API_KEY) {
+ *       return new Web.Response('Unauthorized', { status: 401 });
+ *     }
+ *     const start = Date.now();
+ *     const response = next();
+ *     response.headers.set('X-Response-Time', String(Date.now() - start));
+ *     return response;
+ *   });
+ *   remove(); // stop using it
+ *
+ * @param {Function} middleware - Function receiving (event, next)
+ * @returns {Function} Function that removes the middleware again
+ */
+setProperty(Web, {
+  use: function use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Web.use requires a middleware function');
+    }
+    requestMiddleware.push(middleware);
+    return () => Web.unuse(middleware);
+  }
+});
+
+/**
+ * Web.unuse - Removes middleware registered with Web.use
+ * @param {Function} middleware - Middleware to remove
+ */
+setProperty(Web, {
+  unuse: function unuse(middleware) {
+    const index = requestMiddleware.indexOf(middleware);
+    if (index !== -1) {
+      requestMiddleware.splice(index, 1);
+    }
+  }
+});
+
 /**
  * Event listener storage
  * Stores event handlers for different event types
  */
 const eventListeners = new Map();
 
+/**
+ * Produces the response when no fetch listener responds
+ * Replaced with Web.setFetchFallback()
+ * @param {Web.RequestEvent} event - Unanswered request
+ * @returns {Web.Response} 404 response
+ */
+const defaultFetchFallback = (event) => {
+  return new Web.Response('Not Found', {
+    status: 404,
+    headers: {
+      'Content-Type': 'text/plain'
+    }
+  });
+};
+
+let fetchFallback = defaultFetchFallback;
+
+/**
+ * Dispatches a request to the registered fetch listeners, service worker style
+ *
+ * Listeners are called in the order they were added until one responds,
+ * either by calling event.respondWith() or by returning a value. A listener
+ * calling event.stopImmediatePropagation() also ends the dispatch. When no
+ * listener responds, the fetch fallback answers.
+ *
+ * @param {Web.RequestEvent} event - Incoming request
+ * @returns {*} The response, as returned or passed to respondWith
+ */
+const dispatchFetchEvent = (event) => {
+  // Copied so listeners added or removed during dispatch don't affect it
+  for (const listener of [...(eventListeners.get('fetch') ?? [])]) {
+    const response = listener(event) ?? event['&respondWith'];
+    if (response !== undefined && response !== null) {
+      return response;
+    }
+    if (event['&stopImmediatePropagation']) {
+      break;
+    }
+  }
+  return typeof fetchFallback === 'function' ? fetchFallback(event) : fetchFallback.clone();
+};
+
 /**
  * Web.addEventListener - Adds an event listener to the Web object
  * 
  * WHY THIS EXISTS: Provides a familiar browser-like API for setting up handlers.
  * When 'fetch' event listener is added, it automatically configures globalThis.doGet
- * and globalThis.doPost to use Web.do() with the provided handler function.
+ * and globalThis.doPost to dispatch requests to the fetch listeners through Web.do().
  * 
  * This makes Google Apps Script web apps feel like Service Workers with a
- * standard addEventListener('fetch', handler) pattern.
+ * standard addEventListener('fetch', handler) pattern. As in a service worker,
+ * every fetch listener gets a turn until one responds; adding the same
+ * listener twice has no effect.
  * 
  * Example usage:
  *   Web.addEventListener('fetch', (request) => {
@@ -229,30 +1075,42 @@ const eventListeners = new Map();
  *     });
  *   });
  * 
+ * Apps Script trigger events ('scheduled', 'open', 'edit', 'formsubmit' and
+ * 'install') are handled in web/18-triggers.js.
+ * 
  * @param {string} type - Event type (e.g., 'fetch')
  * @param {Function} handler - Handler function
+ * @param {Object} options - { cron } schedule for 'scheduled' listeners
  */
-const addEventListener = function WebAddEventListener(type, handler) {
+const addEventListener = function WebAddEventListener(type, handler, options) {
   if (!type || typeof handler !== 'function') {
     throw new Error('addEventListener requires an event type and handler function');
   }
 
+  // Apps Script trigger events get their own entry points (web/18-triggers.js)
+  if (triggerEntryPoints.hasOwnProperty(type)) {
+    return addTriggerListener(type, handler, options);
+  }
+
   // Store the handler
   if (!eventListeners.has(type)) {
     eventListeners.set(type, []);
   }
-  eventListeners.get(type).push(handler);
+  const handlers = eventListeners.get(type);
+  if (!handlers.includes(handler)) {
+    handlers.push(handler);
+  }
 
   // Special handling for 'fetch' events - set up global doGet/doPost
   if (type === 'fetch') {
     globalThis.doGet = function doGet(e) {
-      e.method = e?.method || e?.parameter?.method || 'GET';
-      return Web.do(e, handler) ?? e?.['&respondWith'];
+      e.method = e?.method || 'GET';
+      return Web.do(e, dispatchFetchEvent);
     };
 
     globalThis.doPost = function doPost(e) {
-      e.method = e?.method || e?.parameter?.method || 'POST';
-      return Web.do(e, handler) ?? e?.['&respondWith'];
+      e.method = e?.method || 'POST';
+      return Web.do(e, dispatchFetchEvent);
     };
   }
 };
@@ -268,6 +1126,9 @@ setProperty(Web, {
  * @param {Function} handler - Handler function to remove
  */
 const removeEventListener = function WebRemoveEventListener(type, handler) {
+  if (triggerEntryPoints.hasOwnProperty(type)) {
+    return removeTriggerListener(type, handler);
+  }
   if (!eventListeners.has(type)) {
     return;
   }
@@ -288,3 +1149,24 @@ const removeEventListener = function WebRemoveEventListener(type, handler) {
 setProperty(Web, {
   removeEventListener
 });
+
+/**
+ * Web.setFetchFallback - Sets the response used when no fetch listener responds
+ *
+ * Example usage:
+ *   Web.setFetchFallback((event) => new Web.Response(`Nothing at ${event.pathInfo}`, { status: 404 }));
+ *
+ * @param {Function|Web.Response} fallback - (event) => response, or a response
+ *   to clone for every unanswered request; nothing restores the 404 default
+ * @returns {Function|Web.Response} The previous fallback
+ */
+setProperty(Web, {
+  setFetchFallback: function setFetchFallback(fallback) {
+    if (fallback !== undefined && fallback !== null && typeof fallback !== 'function' && !instanceOf(fallback, Web.Response)) {
+      throw new TypeError('Web.setFetchFallback requires a function or a Web.Response');
+    }
+    const previous = fetchFallback;
+    fetchFallback = fallback ?? defaultFetchFallback;
+    return previous;
+  }
+});
@@ -407,14 +407,8 @@ const URL = class WebURL {
       }
       result += this.host;
     }
-    result += this.pathname;
-    if (this.search) {
-      result += '?' + this.search;
-    }
-    if (this.hash) {
-      result += '#' + this.hash;
-    }
-    return result;
+    // search and hash already carry their '?' and '#' prefixes
+    return result + this.pathname + this.search + this.hash;
   }
 
   set href(value) {
@@ -587,8 +581,14 @@ setHidden(URL.prototype, '&parse', function parse(url, base) {
       result.username = base.username;
       result.password = base.password;
 
-      // If path doesn't start with /, resolve relative to base
-      if (result.pathname && result.pathname.charAt(0) !== '/') {
+      // A bare ?query or #hash keeps the base path (and, for #hash, the base query)
+      if (!match[7]) {
+        result.pathname = base.pathname;
+        if (match[8] === undefined) {
+          result.search = base.search;
+        }
+      } else if (result.pathname.charAt(0) !== '/') {
+        // If path doesn't start with /, resolve relative to base
         const basePath = base.pathname.substring(0, base.pathname.lastIndexOf('/') + 1);
         result.pathname = basePath + result.pathname;
         // Normalize path (resolve . and ..)
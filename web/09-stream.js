@@ -102,7 +102,8 @@ const ReadableStream = class WebReadableStream {
 
   /**
    * Gets a reader for the stream
-   * @param {Object} options - Optional reader options (mode not supported in sham)
+   * @param {Object} options - Optional reader options (mode not supported in sham;
+   *   signal is a non-standard Web.AbortSignal checked on every read)
    * @returns {ReadableStreamDefaultReader}
    */
   getReader(options = {}) {
@@ -113,6 +114,10 @@ const ReadableStream = class WebReadableStream {
     // skipping lock intentionally for simplicity
     const reader = this[$streamReader] ?? new Web.ReadableStreamDefaultReader(this);
     this[$streamReader] = reader;
+    // Non-standard: lets read() stop at an AbortSignal's deadline
+    if (options?.signal) {
+      reader[$readerSignal] = options.signal;
+    }
     return reader;
   }
 
@@ -222,6 +227,7 @@ setProperty(Web, {
  */
 const $readerStream = Symbol('*readerStream');
 const $readerClosed = Symbol('*readerClosed');
+const $readerSignal = Symbol('*readerSignal');
 
 const ReadableStreamDefaultReader = class WebReadableStreamDefaultReader {
   /**
@@ -251,6 +257,16 @@ const ReadableStreamDefaultReader = class WebReadableStreamDefaultReader {
       };
     }
 
+    // An aborted signal discards queued chunks and errors the stream,
+    // returning the abort reason the same way an errored stream does
+    const signal = this[$readerSignal];
+    if (signal?.aborted) {
+      ctrl.chunks.length = 0;
+      ctrl.controller.error(signal.reason);
+      this[$readerClosed] = true;
+      return signal.reason;
+    }
+
     // If we have queued chunks, return the first one (even if errored, drain queue first)
     if (ctrl.chunks.length > 0) {
       const value = ctrl.chunks.shift();
@@ -0,0 +1,307 @@
+/**
+ * Web.DOMException - Minimal DOMException for environments that lack it
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/DOMException (MDN Web Docs - DOMException)
+ *
+ * Google Apps Script has no DOMException, but abort reasons are specified as
+ * DOMExceptions named 'AbortError' or 'TimeoutError'. Code ported from the
+ * browser checks `error.name === 'AbortError'`, so that is what we provide.
+ */
+const domExceptionCodes = {
+  AbortError: 20,
+  TimeoutError: 23
+};
+
+const DOMException = class WebDOMException extends Error {
+
+  /**
+   * Creates a new DOMException
+   * @param {string} message - Error message
+   * @param {string} name - Exception name (e.g. 'AbortError')
+   */
+  constructor(message = '', name = 'Error') {
+    super(message);
+    setHidden(this, '&name', Str(name));
+  }
+
+  /**
+   * Gets the exception name
+   * @returns {string} Exception name
+   */
+  get name() {
+    return this['&name'];
+  }
+
+  /**
+   * Gets the legacy numeric code for the exception name
+   * @returns {number} Legacy code, or 0 for names without one
+   */
+  get code() {
+    return domExceptionCodes[this.name] ?? 0;
+  }
+};
+
+setProperty(Web, {
+  DOMException
+});
+
+/**
+ * Execution deadline used by Web.RequestEvent signals
+ *
+ * WHY: Apps Script kills an execution at the 6-minute mark without running
+ * any more of your code. The library is evaluated when the execution starts,
+ * so we measure from there and abort 30 seconds early, leaving handlers time
+ * to return a response instead of being cut off mid-request.
+ */
+const executionStart = Date.now();
+const executionDeadline = executionStart + (6 * 60 - 30) * 1000;
+
+/**
+ * Web.AbortSignal - Cancellation signal with deadline support
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/AbortSignal (MDN Web Docs - AbortSignal)
+ *
+ * WHY DEADLINES INSTEAD OF TIMERS: Apps Script has no setTimeout, so a
+ * timeout signal cannot fire on its own. Instead each signal carries an
+ * absolute deadline, and `aborted`/`reason` check the clock when read. Abort
+ * listeners run the first time a passed deadline is noticed. Web.fetch also
+ * maps the deadline onto UrlFetchApp's `deadline` option so a slow request is
+ * cut off by Google rather than running past it.
+ */
+const $aborted = Symbol('*aborted');
+const $abortReason = Symbol('*abortReason');
+const $abortDeadline = Symbol('*abortDeadline');
+const $abortListeners = Symbol('*abortListeners');
+const $abortSources = Symbol('*abortSources');
+
+/**
+ * Aborts a signal and runs its listeners once
+ * @param {Web.AbortSignal} signal - Signal to abort
+ * @param {*} reason - Abort reason (defaults to an AbortError)
+ */
+const abortSignal = (signal, reason) => {
+  if (signal[$aborted]) return;
+  signal[$aborted] = true;
+  signal[$abortReason] = reason === undefined ?
+    new Web.DOMException('signal is aborted without reason', 'AbortError') :
+    reason;
+
+  const event = {
+    type: 'abort',
+    target: signal
+  };
+  const listeners = [signal.onabort, ...signal[$abortListeners]];
+  signal[$abortListeners] = [];
+  for (const listener of listeners) {
+    try {
+      if (typeof listener === 'function') {
+        listener.call(signal, event);
+      } else if (typeof listener?.handleEvent === 'function') {
+        listener.handleEvent(event);
+      }
+    } catch (e) {
+      console.warn('Abort listener error:', e);
+    }
+  }
+};
+
+/**
+ * Brings a signal up to date with the clock and its source signals
+ * @param {Web.AbortSignal} signal - Signal to check
+ * @returns {Web.AbortSignal} The same signal
+ */
+const syncSignal = (signal) => {
+  if (signal[$aborted]) return signal;
+  for (const source of signal[$abortSources]) {
+    if (source.aborted) {
+      abortSignal(signal, source.reason);
+      return signal;
+    }
+  }
+  if (Date.now() >= signal[$abortDeadline]) {
+    abortSignal(signal, new Web.DOMException('signal timed out', 'TimeoutError'));
+  }
+  return signal;
+};
+
+/**
+ * Gets the earliest deadline of a signal and any signals it follows
+ * @param {Web.AbortSignal} signal - Signal to inspect
+ * @returns {number} Epoch milliseconds, or Infinity for no deadline
+ */
+const signalDeadline = (signal) => {
+  return Math.min(signal[$abortDeadline], ...signal[$abortSources].map(signalDeadline));
+};
+
+const AbortSignal = class WebAbortSignal {
+
+  /**
+   * Creates a new AbortSignal
+   * Use Web.AbortController or the static helpers rather than calling this directly
+   */
+  constructor() {
+    this[$aborted] = false;
+    this[$abortReason] = undefined;
+    this[$abortDeadline] = Infinity;
+    this[$abortListeners] = [];
+    this[$abortSources] = [];
+    this.onabort = null;
+  }
+
+  /**
+   * Checks if the signal has been aborted
+   * @returns {boolean} True if aborted
+   */
+  get aborted() {
+    return syncSignal(this)[$aborted];
+  }
+
+  /**
+   * Gets the abort reason
+   * @returns {*} Abort reason, or undefined if not aborted
+   */
+  get reason() {
+    return syncSignal(this)[$abortReason];
+  }
+
+  /**
+   * Throws the abort reason if the signal has been aborted
+   */
+  throwIfAborted() {
+    if (this.aborted) {
+      throw this.reason;
+    }
+  }
+
+  /**
+   * Adds an abort listener
+   * @param {string} type - Event type (only 'abort' is dispatched)
+   * @param {Function|Object} listener - Listener function or object with handleEvent
+   * @param {Object} options - Listener options (once is implied, abort fires once)
+   */
+  addEventListener(type, listener, options) {
+    if (type !== 'abort' || !listener || this[$abortListeners].includes(listener)) {
+      return;
+    }
+    this[$abortListeners].push(listener);
+  }
+
+  /**
+   * Removes an abort listener
+   * @param {string} type - Event type
+   * @param {Function|Object} listener - Listener to remove
+   */
+  removeEventListener(type, listener) {
+    const index = this[$abortListeners].indexOf(listener);
+    if (type === 'abort' && index !== -1) {
+      this[$abortListeners].splice(index, 1);
+    }
+  }
+
+  /**
+   * Creates an already-aborted signal
+   * @param {*} reason - Abort reason (defaults to an AbortError)
+   * @returns {Web.AbortSignal} Aborted signal
+   */
+  static abort(reason) {
+    const signal = new Web.AbortSignal();
+    abortSignal(signal, reason);
+    return signal;
+  }
+
+  /**
+   * Creates a signal that aborts with a TimeoutError after a number of milliseconds
+   * @param {number} ms - Milliseconds until the signal aborts
+   * @returns {Web.AbortSignal} Timeout signal
+   */
+  static timeout(ms) {
+    ms = Number(ms);
+    if (!Number.isFinite(ms) || ms < 0) {
+      throw new TypeError(`Failed to execute 'timeout' on 'AbortSignal': ${Str(ms)} is not a valid timeout.`);
+    }
+    const signal = new Web.AbortSignal();
+    signal[$abortDeadline] = Date.now() + ms;
+    return signal;
+  }
+
+  /**
+   * Creates a signal that aborts when any of the given signals abort
+   * @param {Iterable<Web.AbortSignal>} signals - Signals to follow
+   * @returns {Web.AbortSignal} Combined signal
+   */
+  static any(signals) {
+    const signal = new Web.AbortSignal();
+    signal[$abortSources] = [...signals];
+    for (const source of signal[$abortSources]) {
+      if (source.aborted) {
+        abortSignal(signal, source.reason);
+        break;
+      }
+      source.addEventListener('abort', () => abortSignal(signal, source.reason));
+    }
+    return signal;
+  }
+};
+
+setProperty(Web, {
+  AbortSignal
+});
+
+/**
+ * Maps a signal onto UrlFetchApp request options
+ * Throws the abort reason if the signal is already aborted, otherwise caps
+ * the UrlFetchApp `deadline` (in seconds) at the time left on the signal
+ * @param {Web.AbortSignal} signal - Signal to apply (may be undefined)
+ * @param {Object} requestOptions - UrlFetchApp options (mutated)
+ */
+const applySignal = (signal, requestOptions) => {
+  if (!signal) return;
+  signal.throwIfAborted();
+  const remaining = signalDeadline(signal) - Date.now();
+  if (Number.isFinite(remaining)) {
+    const seconds = Math.max(1, Math.ceil(remaining / 1000));
+    requestOptions.deadline = Math.min(requestOptions.deadline ?? Infinity, seconds);
+  }
+};
+
+/**
+ * Web.AbortController - Creates and controls an AbortSignal
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/AbortController (MDN Web Docs - AbortController)
+ *
+ * Example usage:
+ *   const controller = new Web.AbortController();
+ *   const response = Web.fetch(url, { signal: controller.signal });
+ *   controller.abort();
+ */
+const $controllerSignal = Symbol('*controllerSignal');
+
+const AbortController = class WebAbortController {
+
+  /**
+   * Creates a new AbortController with a fresh signal
+   */
+  constructor() {
+    this[$controllerSignal] = new Web.AbortSignal();
+  }
+
+  /**
+   * Gets the controlled signal
+   * @returns {Web.AbortSignal} Signal
+   */
+  get signal() {
+    return this[$controllerSignal];
+  }
+
+  /**
+   * Aborts the controlled signal
+   * @param {*} reason - Abort reason (defaults to an AbortError)
+   */
+  abort(reason) {
+    abortSignal(this[$controllerSignal], reason);
+  }
+};
+
+setProperty(Web, {
+  AbortController
+});
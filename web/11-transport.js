@@ -0,0 +1,267 @@
+/**
+ * Web.MockTransport - In-memory transport for Web.fetch
+ *
+ * Matches outgoing requests against registered routes and answers them
+ * without touching the network, recording every call for later assertions.
+ * Install it with Web.fetch.setTransport(mock) or per call with the
+ * `transport` fetch option.
+ *
+ * WHY: UrlFetchApp cannot be stubbed from inside Apps Script, so code that
+ * calls Web.fetch could only ever be tested against live servers. Since the
+ * transport sits below redirects, retries and middleware, those all still
+ * run for real against the mocked responses.
+ *
+ * Route handlers may be:
+ * - a Web.Response (cloned for each call)
+ * - a string (200 text/plain body)
+ * - a number (status code with an empty body)
+ * - an Error (thrown as a network failure)
+ * - any other value (200 JSON body)
+ * - a function taking the Web.Request and returning any of the above
+ *
+ * Example usage:
+ *   const mock = new Web.MockTransport({
+ *     'GET https://api.example.com/users/*': { id: 1 },
+ *     'POST https://api.example.com/users': request => new Web.Response('', { status: 201 })
+ *   });
+ *   Web.fetch.setTransport(mock);
+ *   Web.fetch('https://api.example.com/users/1').json(); // { id: 1 }
+ *   mock.assertCalled('GET', 'https://api.example.com/users/*', 1);
+ */
+const $routes = Symbol('*routes');
+const $calls = Symbol('*calls');
+
+/**
+ * Builds a predicate for a route URL matcher
+ * Strings match exactly (ignoring the query unless the route has one) and
+ * may use `*` as a wildcard; RegExps are tested; functions are called
+ * @param {string|RegExp|Function} matcher - URL matcher
+ * @returns {Function} url => boolean
+ */
+const routeMatcher = (matcher) => {
+  if (matcher === undefined || matcher === '*') {
+    return () => true;
+  }
+  if (typeof matcher === 'function') {
+    return matcher;
+  }
+  if (instanceOf(matcher, RegExp)) {
+    return url => matcher.test(url);
+  }
+  matcher = Str(matcher);
+  const withQuery = matcher.includes('?');
+  const pattern = new RegExp('^' + matcher.split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*') + '$');
+  return url => pattern.test(withQuery ? url : url.split('?')[0]);
+};
+
+/**
+ * Checks whether a method and URL match a route's method and URL matcher
+ * @param {Object} route - Route with method and test
+ * @param {string} method - Request method
+ * @param {string} url - Request URL
+ * @returns {boolean} True if the route matches
+ */
+const routeMatches = (route, method, url) => {
+  return (route.method === '*' || route.method === Str(method).toUpperCase()) && route.test(url);
+};
+
+/**
+ * Converts a route handler result into a Web.Response
+ * @param {*} result - Handler result
+ * @returns {Web.Response} Response
+ */
+const mockResponse = (result) => {
+  if (instanceOf(result, Error)) {
+    throw result;
+  }
+  if (instanceOf(result, Web.Response)) {
+    return result.clone();
+  }
+  if (typeof result === 'number') {
+    return new Web.Response(null, {
+      status: result
+    });
+  }
+  if (typeof result === 'string') {
+    return new Web.Response(result, {
+      headers: {
+        'content-type': 'text/plain; charset=utf-8'
+      }
+    });
+  }
+  return new Web.Response(JSON.stringify(result ?? null), {
+    headers: {
+      'content-type': 'application/json; charset=utf-8'
+    }
+  });
+};
+
+const MockTransport = class WebMockTransport {
+
+  /**
+   * Creates a new MockTransport
+   * @param {Object} routes - Optional handler table keyed by 'METHOD url' or 'url'
+   */
+  constructor(routes = {}) {
+    this[$routes] = [];
+    this[$calls] = [];
+    for (const key in routes) {
+      const [, method, url] = Str(key).match(/^([A-Za-z]+)\s+(\S.*)$/) ?? [, '*', key];
+      this.route(method, url, routes[key]);
+    }
+  }
+
+  /**
+   * Registers a route; earlier routes win over later ones
+   * @param {string} method - HTTP method, or '*' for any
+   * @param {string|RegExp|Function} url - URL matcher
+   * @param {*} handler - Response, value or function (see above)
+   * @returns {Web.MockTransport} This transport, for chaining
+   */
+  route(method, url, handler) {
+    this[$routes].push({
+      method: Str(method ?? '*').toUpperCase(),
+      test: routeMatcher(url),
+      handler
+    });
+    return this;
+  }
+
+  /**
+   * Registers a GET route
+   * @param {string|RegExp|Function} url - URL matcher
+   * @param {*} handler - Response, value or function
+   * @returns {Web.MockTransport} This transport, for chaining
+   */
+  get(url, handler) {
+    return this.route('GET', url, handler);
+  }
+
+  /**
+   * Registers a POST route
+   * @param {string|RegExp|Function} url - URL matcher
+   * @param {*} handler - Response, value or function
+   * @returns {Web.MockTransport} This transport, for chaining
+   */
+  post(url, handler) {
+    return this.route('POST', url, handler);
+  }
+
+  /**
+   * Registers a PUT route
+   * @param {string|RegExp|Function} url - URL matcher
+   * @param {*} handler - Response, value or function
+   * @returns {Web.MockTransport} This transport, for chaining
+   */
+  put(url, handler) {
+    return this.route('PUT', url, handler);
+  }
+
+  /**
+   * Registers a PATCH route
+   * @param {string|RegExp|Function} url - URL matcher
+   * @param {*} handler - Response, value or function
+   * @returns {Web.MockTransport} This transport, for chaining
+   */
+  patch(url, handler) {
+    return this.route('PATCH', url, handler);
+  }
+
+  /**
+   * Registers a DELETE route
+   * @param {string|RegExp|Function} url - URL matcher
+   * @param {*} handler - Response, value or function
+   * @returns {Web.MockTransport} This transport, for chaining
+   */
+  delete(url, handler) {
+    return this.route('DELETE', url, handler);
+  }
+
+  /**
+   * Answers a request from the first matching route
+   * This is the transport interface used by Web.fetch
+   * @param {Web.Request} request - Outgoing request
+   * @returns {Web.Response} Mocked response
+   */
+  fetch(request) {
+    const method = Str(request.method ?? 'GET').toUpperCase();
+    const url = Str(request.url);
+    this[$calls].push({
+      method,
+      url,
+      request
+    });
+
+    const route = this[$routes].find(route => routeMatches(route, method, url));
+    if (!route) {
+      throw new TypeError(`MockTransport: no route for ${method} ${url}`);
+    }
+    const handler = route.handler;
+    return mockResponse(typeof handler === 'function' ? handler(request) : handler);
+  }
+
+  /**
+   * Gets every recorded call in order
+   * @returns {Array<Object>} Calls as { method, url, request }
+   */
+  get calls() {
+    return [...this[$calls]];
+  }
+
+  /**
+   * Gets the recorded calls matching a method and URL matcher
+   * @param {string} method - HTTP method, or '*' for any
+   * @param {string|RegExp|Function} url - URL matcher (omit for any)
+   * @returns {Array<Object>} Matching calls
+   */
+  callsTo(method = '*', url) {
+    const route = {
+      method: Str(method).toUpperCase(),
+      test: routeMatcher(url)
+    };
+    return this[$calls].filter(call => routeMatches(route, call.method, call.url));
+  }
+
+  /**
+   * Throws unless a method and URL were called (optionally an exact number of times)
+   * @param {string} method - HTTP method, or '*' for any
+   * @param {string|RegExp|Function} url - URL matcher
+   * @param {number} times - Expected call count (omit for at least once)
+   * @returns {Array<Object>} Matching calls
+   */
+  assertCalled(method, url, times) {
+    const calls = this.callsTo(method, url);
+    if (times === undefined ? !calls.length : calls.length !== times) {
+      throw new Error(`Expected ${Str(method)} ${Str(url)} to be called ${times ?? 'at least 1'} time(s), but it was called ${calls.length} time(s)`);
+    }
+    return calls;
+  }
+
+  /**
+   * Throws if a method and URL were called
+   * @param {string} method - HTTP method, or '*' for any
+   * @param {string|RegExp|Function} url - URL matcher
+   */
+  assertNotCalled(method, url) {
+    this.assertCalled(method, url, 0);
+  }
+
+  /**
+   * Clears recorded calls, and routes too if requested
+   * @param {boolean} routes - Also remove all routes
+   * @returns {Web.MockTransport} This transport, for chaining
+   */
+  reset(routes = false) {
+    this[$calls] = [];
+    if (routes) {
+      this[$routes] = [];
+    }
+    return this;
+  }
+};
+
+setProperty(Web, {
+  MockTransport
+});
@@ -0,0 +1,318 @@
+/**
+ * Web.CookieJar - Stores Set-Cookie values and replays them on later requests
+ *
+ * @see https://httpwg.org/specs/rfc6265.html (RFC 6265 - HTTP State Management Mechanism)
+ *
+ * Pass a jar to Web.fetch with the `cookieJar` option and it is consulted on
+ * every request and redirect hop: matching cookies are sent in the Cookie
+ * header, and Set-Cookie headers on each response are stored back into it.
+ *
+ * WHY PERSISTENCE: Every Apps Script execution starts from scratch, so a
+ * session cookie obtained by logging in would be gone by the next trigger
+ * run. save() and CookieJar.load() round-trip the jar through
+ * PropertiesService so a login can outlive the execution that made it.
+ * Session cookies (no Expires/Max-Age) are saved too for the same reason.
+ *
+ * SameSite and HttpOnly are parsed and kept for inspection, but not
+ * enforced: there is no browsing context or script access to protect.
+ *
+ * Example usage:
+ *   const jar = Web.CookieJar.load('legacy-session');
+ *   Web.fetch('https://legacy.example.com/login', { method: 'POST', body: form, cookieJar: jar });
+ *   Web.fetch('https://legacy.example.com/report', { cookieJar: jar });
+ *   jar.save('legacy-session');
+ */
+const $cookies = Symbol('*cookies');
+
+const defaultCookieJarKey = 'Web.CookieJar';
+
+/**
+ * Checks whether a host falls under a cookie domain
+ * @param {string} host - Request hostname
+ * @param {string} domain - Cookie domain
+ * @returns {boolean} True if the domain matches
+ */
+const domainMatches = (host, domain) => {
+  return host === domain || (host.endsWith('.' + domain) && !/^[\d.]+$|:/.test(host));
+};
+
+/**
+ * Checks whether a request path falls under a cookie path
+ * @param {string} path - Request pathname
+ * @param {string} cookiePath - Cookie path
+ * @returns {boolean} True if the path matches
+ */
+const pathMatches = (path, cookiePath) => {
+  return path === cookiePath || (path.startsWith(cookiePath) &&
+    (cookiePath.endsWith('/') || path.charAt(cookiePath.length) === '/'));
+};
+
+/**
+ * Gets the default cookie path for a request path (its "directory")
+ * @param {string} path - Request pathname
+ * @returns {string} Default path
+ */
+const defaultCookiePath = (path) => {
+  if (!path.startsWith('/') || path.lastIndexOf('/') === 0) {
+    return '/';
+  }
+  return path.slice(0, path.lastIndexOf('/'));
+};
+
+/**
+ * Parses a Set-Cookie header value into a cookie record
+ * @param {string} header - Set-Cookie value
+ * @param {Web.URL} url - URL of the response that set it
+ * @returns {Object|null} Cookie record, or null if it must be ignored
+ */
+const parseSetCookie = (header, url) => {
+  const [pair, ...attributes] = Str(header).split(';');
+  const equals = pair.indexOf('=');
+  if (equals === -1) {
+    return null;
+  }
+  const name = pair.slice(0, equals).trim();
+  if (!name) {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  const cookie = {
+    name,
+    value: pair.slice(equals + 1).trim(),
+    domain: host,
+    hostOnly: true,
+    path: defaultCookiePath(url.pathname),
+    expires: null,
+    secure: false,
+    httpOnly: false,
+    sameSite: null,
+    created: Date.now()
+  };
+
+  let maxAge;
+  for (const attribute of attributes) {
+    const index = attribute.indexOf('=');
+    const key = (index === -1 ? attribute : attribute.slice(0, index)).trim().toLowerCase();
+    const value = index === -1 ? '' : attribute.slice(index + 1).trim();
+
+    if (key === 'domain' && value) {
+      const domain = value.replace(/^\./, '').toLowerCase();
+      if (!domainMatches(host, domain)) {
+        return null;
+      }
+      cookie.domain = domain;
+      cookie.hostOnly = false;
+    } else if (key === 'path') {
+      cookie.path = value.startsWith('/') ? value : defaultCookiePath(url.pathname);
+    } else if (key === 'expires') {
+      const time = Date.parse(value);
+      if (!isNaN(time)) {
+        cookie.expires = time;
+      }
+    } else if (key === 'max-age' && /^-?\d+$/.test(value)) {
+      maxAge = Number(value);
+    } else if (key === 'secure') {
+      cookie.secure = true;
+    } else if (key === 'httponly') {
+      cookie.httpOnly = true;
+    } else if (key === 'samesite') {
+      cookie.sameSite = ['Strict', 'Lax', 'None'].find(x => x.toLowerCase() === value.toLowerCase()) ?? 'Lax';
+    }
+  }
+
+  // Max-Age takes precedence over Expires
+  if (maxAge !== undefined) {
+    cookie.expires = maxAge <= 0 ? 0 : Date.now() + maxAge * 1000;
+  }
+  // Secure cookies can only be set over https
+  if (cookie.secure && url.protocol !== 'https:') {
+    return null;
+  }
+  return cookie;
+};
+
+/**
+ * Drops expired cookies from a jar
+ * @param {Web.CookieJar} jar - Jar to prune
+ * @returns {Array<Object>} Remaining cookie records
+ */
+const pruneCookies = (jar) => {
+  const now = Date.now();
+  return jar[$cookies] = jar[$cookies].filter(cookie => cookie.expires === null || cookie.expires > now);
+};
+
+const CookieJar = class WebCookieJar {
+
+  /**
+   * Creates a new CookieJar
+   * @param {Array<Object>} cookies - Optional cookie records, as returned by toJSON()
+   */
+  constructor(cookies = []) {
+    this[$cookies] = [];
+    for (const cookie of cookies) {
+      this[$cookies].push({
+        ...cookie
+      });
+    }
+    pruneCookies(this);
+  }
+
+  /**
+   * Gets the number of stored, unexpired cookies
+   * @returns {number} Cookie count
+   */
+  get size() {
+    return pruneCookies(this).length;
+  }
+
+  /**
+   * Stores a cookie from a Set-Cookie header value
+   * A cookie that is already expired removes any stored cookie it replaces
+   * @param {string} header - Set-Cookie value
+   * @param {string|Web.URL} url - URL of the response that set it
+   * @returns {Object|null} Stored cookie record, or null if it was rejected
+   */
+  setCookie(header, url) {
+    const cookie = parseSetCookie(header, new Web.URL(Str(url)));
+    if (!cookie) {
+      return null;
+    }
+    const index = this[$cookies].findIndex(x => x.name === cookie.name &&
+      x.domain === cookie.domain && x.path === cookie.path);
+    if (index !== -1) {
+      cookie.created = this[$cookies][index].created;
+      this[$cookies].splice(index, 1);
+    }
+    if (cookie.expires !== null && cookie.expires <= Date.now()) {
+      return null;
+    }
+    this[$cookies].push(cookie);
+    return {
+      ...cookie
+    };
+  }
+
+  /**
+   * Gets the cookies that would be sent to a URL
+   * Sorted longest path first, then oldest first, as RFC 6265 recommends
+   * @param {string|Web.URL} url - Request URL
+   * @returns {Array<Object>} Matching cookie records
+   */
+  getCookies(url) {
+    url = new Web.URL(Str(url));
+    const host = url.hostname.toLowerCase();
+    const path = url.pathname || '/';
+    return pruneCookies(this)
+      .filter(cookie => (cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain)) &&
+        pathMatches(path, cookie.path) &&
+        (!cookie.secure || url.protocol === 'https:'))
+      .sort((a, b) => b.path.length - a.path.length || a.created - b.created)
+      .map(cookie => ({
+        ...cookie
+      }));
+  }
+
+  /**
+   * Gets the Cookie header value for a URL
+   * @param {string|Web.URL} url - Request URL
+   * @returns {string} Cookie header value ('' when nothing matches)
+   */
+  getCookieString(url) {
+    return this.getCookies(url).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+  }
+
+  /**
+   * Removes cookies by name, optionally limited to a domain and path
+   * @param {string} name - Cookie name
+   * @param {string} domain - Optional cookie domain
+   * @param {string} path - Optional cookie path
+   */
+  delete(name, domain, path) {
+    this[$cookies] = this[$cookies].filter(cookie => !(cookie.name === name &&
+      (domain === undefined || cookie.domain === Str(domain).replace(/^\./, '').toLowerCase()) &&
+      (path === undefined || cookie.path === path)));
+  }
+
+  /**
+   * Removes every cookie
+   */
+  clear() {
+    this[$cookies] = [];
+  }
+
+  /**
+   * Gets the unexpired cookie records for serialization
+   * @returns {Array<Object>} Cookie records
+   */
+  toJSON() {
+    return pruneCookies(this).map(cookie => ({
+      ...cookie
+    }));
+  }
+
+  /**
+   * Saves the jar to PropertiesService
+   * @param {string} key - Property key (default 'Web.CookieJar')
+   * @param {Properties} properties - Store to use (default user properties)
+   * @returns {Web.CookieJar} This jar, for chaining
+   */
+  save(key = defaultCookieJarKey, properties = PropertiesService.getUserProperties()) {
+    properties.setProperty(key, JSON.stringify(this));
+    return this;
+  }
+
+  /**
+   * Loads a jar saved with save()
+   * Missing or unreadable properties give an empty jar
+   * @param {string} key - Property key (default 'Web.CookieJar')
+   * @param {Properties} properties - Store to use (default user properties)
+   * @returns {Web.CookieJar} Loaded jar
+   */
+  static load(key = defaultCookieJarKey, properties = PropertiesService.getUserProperties()) {
+    try {
+      return new Web.CookieJar(JSON.parse(properties.getProperty(key) ?? '[]'));
+    } catch (e) {
+      console.warn('Could not load cookie jar:', e);
+      return new Web.CookieJar();
+    }
+  }
+};
+
+setProperty(Web, {
+  CookieJar
+});
+
+/**
+ * Wraps a transport sender so each exchange reads from and writes to a jar
+ *
+ * WHY AT THE SENDER: Login flows typically answer a POST with a redirect that
+ * carries the session cookie, and the next hop must already send it. Working
+ * per exchange covers redirect hops and retries, not just the first request.
+ *
+ * @param {Web.CookieJar} cookieJar - Jar to use (may be undefined)
+ * @param {Function} send - Sender from transportSender
+ * @returns {Function} (url, requestOptions) => Web.Response
+ */
+const cookieSender = (cookieJar, send) => {
+  if (!cookieJar) {
+    return send;
+  }
+  return (url, requestOptions) => {
+    const headers = new Web.Headers(requestOptions.headers);
+    const cookies = [...headers.getAll('cookie'), cookieJar.getCookieString(url)].filter(Boolean);
+    headers.delete('cookie');
+    if (cookies.length) {
+      headers.set('cookie', cookies.join('; '));
+    }
+
+    const response = send(url, {
+      ...requestOptions,
+      headers
+    });
+    for (const header of response.headers.getSetCookie().flat()) {
+      cookieJar.setCookie(header, url);
+    }
+    return response;
+  };
+};
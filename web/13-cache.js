@@ -0,0 +1,679 @@
+/**
+ * Web.Cache - Response cache backed by CacheService or another store
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/Cache (MDN Web Docs - Cache)
+ * @see https://developers.google.com/apps-script/reference/cache/cache (Google Apps Script - Cache)
+ *
+ * Like the rest of this library the API is synchronous: methods return their
+ * results directly instead of Promises, so service-worker code ports over by
+ * dropping `await`.
+ *
+ * Each cache keeps an index entry (its name plus 'keys') listing the stored
+ * requests, and each response is stored under a digest of its request: a
+ * manifest with the status and headers at the key itself, and the body
+ * either inside the manifest or in numbered chunks after it (key:0, key:1, ...).
+ * Entries go to CacheService unless the cache is opened with another
+ * `storage` (see web/15-cache-stores.js).
+ *
+ * WHY CHUNKS: CacheService values are limited to 100KB, and other stores
+ * have limits of their own. Bodies are gzipped when that makes them smaller,
+ * base64-encoded and split into chunks below the store's limit. CacheService
+ * evicts keys independently, so an entry missing any chunk is treated as a
+ * miss rather than returning a truncated body.
+ *
+ * WHY A LOCKED INDEX: The index is read, changed and written back, so two
+ * executions storing at once would lose each other's entries. Index updates
+ * take the script lock, drop duplicates, and clean up entries whose values
+ * CacheService has expired or evicted.
+ *
+ * Every entry has a TTL in seconds: the `ttl` passed to put(), else the
+ * response's Cache-Control max-age, else the cache's `ttl` option, else the
+ * store's maximum (6 hours for CacheService, no expiry for the others). A
+ * cache opened with `maxEntries` evicts its least recently matched entries
+ * to stay within that size.
+ *
+ * WHY DIGEST KEYS: CacheService keys are limited to 250 characters, which
+ * many real URLs exceed once a cache name is prefixed. A SHA-256 of the
+ * request keeps keys short and also separates entries that share a URL but
+ * differ in the request headers named by Vary.
+ */
+const $cacheName = Symbol('*cacheName');
+const $cachePolicy = Symbol('*cachePolicy');
+const $cacheStore = Symbol('*cacheStore');
+const ScriptCache = (() => {
+  let _ScriptCache;
+  return () => {
+    if (!_ScriptCache) {
+      _ScriptCache = CacheService.getScriptCache();
+    }
+    return _ScriptCache;
+  };
+})();
+
+// Characters of base64 body per CacheService value, under the 100KB limit
+const cacheChunkSize = 90 * 1024;
+
+// CacheService's longest expiration in seconds, used for indexes and as the default TTL
+const maxCacheTtl = 21600;
+
+// Milliseconds to wait for the script lock before giving up on a shared update (cache index, trigger registry)
+const scriptLockTimeout = 10000;
+
+/**
+ * Validates a TTL option
+ * @param {number} ttl - TTL in seconds (may be undefined)
+ * @returns {number|undefined} Whole seconds, at least 1
+ */
+const cacheTtlOption = (ttl) => {
+  if (ttl === undefined) {
+    return undefined;
+  }
+  if (!(Number(ttl) > 0)) {
+    throw new TypeError(`Cache ttl must be a positive number of seconds. Received: ${Str(ttl)}`);
+  }
+  return Math.max(1, Math.floor(Number(ttl)));
+};
+
+/**
+ * Gets the TTL for a stored response
+ * @param {Web.Response} response - Response being stored
+ * @param {number} ttl - Explicit TTL for this entry (may be undefined)
+ * @param {number} fallback - The cache's own TTL (may be undefined)
+ * @param {number} maxTtl - The store's longest TTL
+ * @returns {number} TTL in seconds
+ */
+const cacheEntryTtl = (response, ttl, fallback, maxTtl) => {
+  const maxAge = Str(response?.headers?.get?.('cache-control') ?? '').match(/(?:^|,)\s*max-age\s*=\s*"?(\d+)/i)?.[1];
+  // max-age=0 still gets the shortest TTL CacheService allows
+  return Math.min(maxTtl, cacheTtlOption(ttl) ?? cacheTtlOption(maxAge && Math.max(1, Number(maxAge))) ?? fallback ?? maxTtl);
+};
+
+/**
+ * Checks whether an index entry has passed its TTL
+ * @param {Object} entry - Index entry { expires }
+ * @param {number} now - Current time (epoch ms)
+ * @returns {boolean} True if expired
+ */
+const cacheEntryExpired = (entry, now) => {
+  // Entries that never expire have a null expires
+  return typeof entry.expires === 'number' && entry.expires <= now;
+};
+
+/**
+ * Runs a function while holding the script lock
+ * Reuses the lock if this execution already holds it, leaving it held
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result
+ */
+const withScriptLock = (fn) => {
+  const lock = LockService.getScriptLock();
+  if (lock.hasLock()) {
+    return fn();
+  }
+  lock.waitLock(scriptLockTimeout);
+  try {
+    return fn();
+  } finally {
+    lock.releaseLock();
+  }
+};
+
+/**
+ * Runs a function only if the script lock can be had without waiting
+ * For bookkeeping that can be skipped while another execution holds the lock
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result, or undefined if the lock was busy
+ */
+const tryScriptLock = (fn) => {
+  const lock = LockService.getScriptLock();
+  if (lock.hasLock()) {
+    return fn();
+  }
+  if (!lock.tryLock(0)) {
+    return undefined;
+  }
+  try {
+    return fn();
+  } finally {
+    lock.releaseLock();
+  }
+};
+
+/**
+ * Gets every storage key used by an index entry
+ * @param {Object} entry - Index entry { key, chunks }
+ * @returns {Array<string>} Manifest key followed by chunk keys
+ */
+const cacheEntryKeys = (entry) => {
+  return [entry.key, ...Array.from({
+    length: entry.chunks ?? 0
+  }, (_, i) => `${entry.key}:${i}`)];
+};
+
+/**
+ * Stores a response as a manifest plus body chunks
+ * A body that fits in one store value alongside the manifest goes inside it.
+ * Chunks are written before the manifest so readers never find a manifest
+ * whose chunks have not been written yet
+ * @param {Object} store - Store from cacheStore
+ * @param {string} key - Manifest key
+ * @param {Web.Response} response - Response to store
+ * @param {number} ttl - Expiration in seconds
+ * @returns {number} Number of body chunks written
+ */
+const writeCacheEntry = (store, key, response, ttl) => {
+  let bytes = [...response?.bytes?.() ?? []].map(b => b > 127 ? b - 256 : b);
+  let encoding = 'identity';
+  if (bytes.length) {
+    const gzipped = Utilities.gzip(Utilities.newBlob(bytes)).getBytes();
+    if (gzipped.length < bytes.length) {
+      bytes = gzipped;
+      encoding = 'gzip';
+    }
+  }
+  const data = bytes.length ? Utilities.base64Encode(bytes) : '';
+  const manifest = {
+    status: response?.status,
+    statusText: response?.statusText,
+    url: response?.url,
+    time: Date.now(),
+    headers: response?.headers,
+    encoding,
+    chunks: 0
+  };
+
+  const size = store.chunkSize ?? cacheChunkSize;
+  if (data && JSON.stringify(manifest).length + data.length + 10 <= size) {
+    manifest.body = data;
+  } else if (data) {
+    const chunks = {};
+    for (let i = 0; i * size < data.length; i++) {
+      chunks[`${key}:${i}`] = data.slice(i * size, (i + 1) * size);
+    }
+    manifest.chunks = Object.keys(chunks).length;
+    store.putAll(chunks, ttl);
+  }
+  store.put(key, JSON.stringify(manifest), ttl);
+  return manifest.chunks;
+};
+
+/**
+ * Reassembles a stored response
+ * @param {Object} store - Store from cacheStore
+ * @param {Object} entry - Index entry { key, chunks }
+ * @returns {Web.Response|undefined} Response, or undefined if anything was evicted
+ */
+const readCacheEntry = (store, entry) => {
+  const keys = cacheEntryKeys(entry);
+  const values = store.getAll(keys);
+  if (keys.some(key => values[key] == null)) {
+    return;
+  }
+  const json = JSON.parse(values[entry.key]);
+  let body = null;
+  if (json.chunks || json.body) {
+    body = Utilities.base64Decode(json.body ?? keys.slice(1).map(key => values[key]).join(''));
+    if (json.encoding === 'gzip') {
+      body = Utilities.ungzip(Utilities.newBlob(body, 'application/x-gzip')).getBytes();
+    }
+  }
+  const response = new Web.Response(body, {
+    status: json.status,
+    statusText: json.statusText,
+    headers: json.headers
+  });
+  response[$url] = json.url ?? '';
+  setHidden(response, '&cachedAt', json.time);
+  return response;
+};
+
+/**
+ * Normalizes a cache request argument
+ * Accepts anything Web.fetch accepts; fragments are never part of the key
+ * @param {Web.Request|Web.URL|string|Object} request - Request or URL
+ * @returns {{url: string, method: string, headers: Web.Headers}} Normalized request
+ */
+const cacheRequest = (request) => {
+  const {
+    url,
+    options
+  } = fetchInput(request);
+  return {
+    url: new Web.URL(Str(url)).href.split('#')[0],
+    method: Str(options.method ?? 'GET').toUpperCase(),
+    headers: new Web.Headers(options.headers)
+  };
+};
+
+/**
+ * Gets the request header names a response varies on
+ * @param {Web.Response} response - Response
+ * @returns {Array<string>} Lowercase header names ('*' if it varies on everything)
+ */
+const varyNames = (response) => {
+  return Str(response?.headers?.get?.('vary') ?? '').split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Checks whether an index entry matches a request under the match options
+ * @param {Object} entry - Index entry { url, method, vary }
+ * @param {Object} request - From cacheRequest
+ * @param {Object} options - ignoreSearch, ignoreMethod, ignoreVary
+ * @returns {boolean} True if the entry matches
+ */
+const cacheEntryMatches = (entry, request, options = {}) => {
+  if (!options.ignoreMethod && request.method !== 'GET') {
+    return false;
+  }
+  const strip = url => options.ignoreSearch ? url.split('?')[0] : url;
+  if (strip(entry.url) !== strip(request.url)) {
+    return false;
+  }
+  if (options.ignoreVary) {
+    return true;
+  }
+  return Object.keys(entry.vary).every(name => (request.headers.get(name) ?? null) === entry.vary[name]);
+};
+
+const Cache = class WebCache {
+
+  /**
+   * Creates a new Cache
+   * Prefer Web.caches.open(name), which also registers the name
+   * @param {string} name - Cache name, used to namespace keys
+   * @param {Object} options - Optional ttl (seconds), maxEntries and storage (see web/15-cache-stores.js)
+   */
+  constructor(name, options = {}) {
+    this[$cacheName] = Str(name || 'default');
+    this[$cacheStore] = cacheStore(options.storage);
+    if (options.maxEntries !== undefined && !(Number.isInteger(options.maxEntries) && options.maxEntries > 0)) {
+      throw new TypeError(`Cache maxEntries must be a positive integer. Received: ${Str(options.maxEntries)}`);
+    }
+    this[$cachePolicy] = {
+      ttl: cacheTtlOption(options.ttl),
+      maxEntries: options.maxEntries
+    };
+  }
+
+  /**
+   * Gets the first cached response matching a request
+   * The response carries a hidden '&cachedAt' time (epoch ms) of when it was stored
+   * @param {Web.Request|string} request - Request or URL
+   * @param {Object} options - ignoreSearch, ignoreMethod, ignoreVary
+   * @returns {Web.Response|undefined} Cached response
+   */
+  match(request, options) {
+    return this.matchAll(request, options)[0];
+  }
+
+  /**
+   * Gets every cached response matching a request, or all of them
+   * @param {Web.Request|string} request - Request or URL (omit for all)
+   * @param {Object} options - ignoreSearch, ignoreMethod, ignoreVary
+   * @returns {Array<Web.Response>} Cached responses
+   */
+  matchAll(request, options) {
+    const entries = request === undefined ?
+      this['&index']() :
+      this['&query'](request, options);
+    const responses = [];
+    const hits = [];
+    const misses = [];
+    for (const entry of entries) {
+      const response = readCacheEntry(this[$cacheStore], entry);
+      if (response) {
+        responses.push(response);
+        hits.push(entry.key);
+      } else {
+        misses.push(entry.key);
+      }
+    }
+
+    // Forget evicted entries, and move matched ones last when evicting by recency.
+    // Recency alone is not worth waiting for the lock on every hit
+    const lru = this[$cachePolicy].maxEntries !== undefined && hits.length;
+    if (misses.length || lru) {
+      this['&update'](index => {
+        const live = index.filter(entry => !misses.includes(entry.key));
+        return lru ? [
+          ...live.filter(entry => !hits.includes(entry.key)),
+          ...live.filter(entry => hits.includes(entry.key))
+        ] : live;
+      }, !misses.length);
+    }
+    return responses;
+  }
+
+  /**
+   * Fetches a request and stores the response
+   * @param {Web.Request|string} request - Request or URL
+   * @throws {TypeError} If the response is not ok
+   */
+  add(request) {
+    this.addAll([request]);
+  }
+
+  /**
+   * Fetches requests and stores all responses, or none if any fails
+   * @param {Array<Web.Request|string>} requests - Requests or URLs
+   * @throws {TypeError} If any response is not ok
+   */
+  addAll(requests) {
+    requests = [...requests];
+    for (const request of requests) {
+      if (cacheRequest(request).method !== 'GET') {
+        throw new TypeError(`Failed to execute 'addAll' on 'Cache': Request method must be GET.`);
+      }
+    }
+    const responses = Web.fetchAll(requests);
+    const failed = responses.findIndex(response => !response.ok);
+    if (failed !== -1) {
+      throw new TypeError(`Failed to execute 'addAll' on 'Cache': Request failed with status ${Str(responses[failed].status)}.`);
+    }
+    requests.forEach((request, i) => this.put(request, responses[i]));
+  }
+
+  /**
+   * Stores a response for a request, replacing matching entries
+   * @param {Web.Request|string} request - Request or URL
+   * @param {Web.Response} response - Response to store
+   * @param {Object} options - Non-standard: ttl (seconds) for this entry
+   * @throws {TypeError} For non-GET requests, 206 responses or Vary: *
+   */
+  put(request, response, options = {}) {
+    request = cacheRequest(request);
+    if (request.method !== 'GET') {
+      throw new TypeError(`Failed to execute 'put' on 'Cache': Request method '${request.method}' is unsupported.`);
+    }
+    if (response?.status === 206) {
+      throw new TypeError(`Failed to execute 'put' on 'Cache': Partial response (status code 206) is unsupported.`);
+    }
+    const names = varyNames(response);
+    if (names.includes('*')) {
+      throw new TypeError(`Failed to execute 'put' on 'Cache': Vary header contains *.`);
+    }
+
+    const vary = {};
+    for (const name of names) {
+      vary[name] = request.headers.get(name) ?? null;
+    }
+    const key = this[$cacheName] + ':' + Utilities.base64EncodeWebSafe(Utilities.computeDigest(
+      Utilities.DigestAlgorithm.SHA_256,
+      JSON.stringify([request.url, vary])
+    ));
+
+    const store = this[$cacheStore];
+    const ttl = cacheEntryTtl(response, options.ttl, this[$cachePolicy].ttl, store.maxTtl ?? maxCacheTtl);
+    const chunks = writeCacheEntry(store, key, response, ttl);
+
+    this['&update'](index => [...index.filter(entry => entry.key !== key && !cacheEntryMatches(entry, request)), {
+      key,
+      url: request.url,
+      method: request.method,
+      vary,
+      chunks,
+      expires: Number.isFinite(ttl) ? Date.now() + ttl * 1000 : null
+    }]);
+  }
+
+  /**
+   * Removes the entries matching a request
+   * @param {Web.Request|string} request - Request or URL
+   * @param {Object} options - ignoreSearch, ignoreMethod, ignoreVary
+   * @returns {boolean} True if anything was removed
+   */
+  delete(request, options) {
+    request = cacheRequest(request);
+    let removed = false;
+    this['&update'](index => index.filter(entry => {
+      const matches = cacheEntryMatches(entry, request, options);
+      removed = removed || matches;
+      return !matches;
+    }));
+    return removed;
+  }
+
+  /**
+   * Gets the requests of the entries matching a request, or of all entries
+   * @param {Web.Request|string} request - Request or URL (omit for all)
+   * @param {Object} options - ignoreSearch, ignoreMethod, ignoreVary
+   * @returns {Array<Web.Request>} Stored requests, oldest first
+   */
+  keys(request, options) {
+    const entries = request === undefined ?
+      this['&index']() :
+      this['&query'](request, options);
+    return entries.map(entry => new Web.Request(entry.url, {
+      method: entry.method
+    }));
+  }
+};
+
+/**
+ * Reads the index of stored entries
+ * @param {boolean} expired - Also return entries past their TTL
+ * @returns {Array<Object>} Entries as { key, url, method, vary, chunks, expires }, least recently used first
+ */
+setHidden(Cache.prototype, '&index', function index(expired = false) {
+  const now = Date.now();
+  const entries = JSON.parse(this[$cacheStore].get(this[$cacheName] + 'keys') ?? '[]');
+  // Indexes written before entries carried metadata held bare key strings
+  return entries.filter(entry => typeof entry === 'object' && entry &&
+    (expired || !cacheEntryExpired(entry, now)));
+});
+
+/**
+ * Changes the index under the script lock
+ * Drops expired and duplicate entries, evicts the least recently used
+ * entries beyond maxEntries, and removes the values of every entry that
+ * did not make it into the new index
+ * @param {Function} change - Receives the live entries, returns the new entries
+ * @param {boolean} optional - Skip the change instead of waiting if the lock is busy
+ * @returns {Array<Object>|undefined} New index, or undefined if skipped
+ */
+setHidden(Cache.prototype, '&update', function update(change, optional = false) {
+  return (optional ? tryScriptLock : withScriptLock)(() => {
+    const current = this['&index'](true);
+    const now = Date.now();
+
+    // Later entries win over earlier ones with the same key
+    let next = change(current.filter(entry => !cacheEntryExpired(entry, now)))
+      .filter((entry, i, entries) => !entries.slice(i + 1).some(x => x.key === entry.key));
+
+    // The index is kept in order of use, so the oldest entries come first
+    const maxEntries = this[$cachePolicy].maxEntries;
+    if (maxEntries !== undefined && next.length > maxEntries) {
+      next = next.slice(next.length - maxEntries);
+    }
+
+    const keep = next.flatMap(cacheEntryKeys);
+    const stale = current.flatMap(cacheEntryKeys).filter(key => !keep.includes(key));
+    const store = this[$cacheStore];
+    if (stale.length) {
+      store.removeAll(stale);
+    }
+    store.put(this[$cacheName] + 'keys', JSON.stringify(next), store.maxTtl ?? maxCacheTtl);
+    return next;
+  });
+});
+
+/**
+ * Finds the index entries matching a request
+ * @param {Web.Request|string} request - Request or URL
+ * @param {Object} options - ignoreSearch, ignoreMethod, ignoreVary
+ * @returns {Array<Object>} Matching entries
+ */
+setHidden(Cache.prototype, '&query', function query(request, options) {
+  request = cacheRequest(request);
+  return this['&index']().filter(entry => cacheEntryMatches(entry, request, options));
+});
+
+/**
+ * Removes every entry and the index
+ */
+setHidden(Cache.prototype, '&clear', function clear() {
+  withScriptLock(() => {
+    this[$cacheStore].removeAll([...this['&index'](true).flatMap(cacheEntryKeys), this[$cacheName] + 'keys']);
+  });
+});
+
+setProperty(Web, {
+  Cache
+});
+
+/**
+ * Web.CacheStorage - Named Web.Cache instances (exposed as Web.caches)
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/CacheStorage (MDN Web Docs - CacheStorage)
+ *
+ * Cache names are kept in a 'Web.caches' script property so keys() and has()
+ * work across executions, together with the options each cache was opened
+ * with. Opening a cache by name alone reuses them, so a cache opened once
+ * with `{ storage: 'drive', ttl: 86400 }` keeps that storage and policy.
+ * Like Web.Cache, methods return results directly.
+ *
+ * WHY SCRIPT PROPERTIES: A cache kept in Drive or a spreadsheet outlives
+ * CacheService's 6 hours, and so must the record of where it is kept.
+ *
+ * Example usage:
+ *   const cache = Web.caches.open('v1');
+ *   cache.addAll(['https://example.com/a.json', 'https://example.com/b.json']);
+ *   const response = Web.caches.match('https://example.com/a.json');
+ */
+const cacheRegistryKey = 'Web.caches';
+
+/**
+ * Reads the registered caches
+ * @returns {Array<Object>} Caches as { name, options } in creation order
+ */
+const cacheRegistry = () => {
+  return JSON.parse(PropertiesService.getScriptProperties().getProperty(cacheRegistryKey) ?? '[]');
+};
+
+/**
+ * Reads the registered cache names
+ * @returns {Array<string>} Cache names in creation order
+ */
+const cacheNames = () => {
+  return cacheRegistry().map(entry => entry.name);
+};
+
+/**
+ * Changes the registered caches under the script lock
+ * @param {Function} change - Receives the caches, returns the new caches
+ */
+const updateCacheRegistry = (change) => {
+  withScriptLock(() => {
+    PropertiesService.getScriptProperties().setProperty(cacheRegistryKey, JSON.stringify(change(cacheRegistry())));
+  });
+};
+
+/**
+ * Opens a registered cache with the options it was registered with
+ * @param {string} name - Cache name
+ * @returns {Web.Cache} Cache
+ */
+const registeredCache = (name) => {
+  return new Web.Cache(name, cacheRegistry().find(entry => entry.name === name)?.options);
+};
+
+const CacheStorage = class WebCacheStorage {
+
+  /**
+   * Opens a cache, creating it if needed
+   * Options are remembered, and reused when the cache is opened without any
+   * @param {string} name - Cache name
+   * @param {Object} options - Non-standard: ttl (seconds), maxEntries and storage
+   * @returns {Web.Cache} Cache
+   */
+  open(name, options) {
+    name = Str(name);
+    if (options === undefined) {
+      const cache = registeredCache(name);
+      if (!cacheNames().includes(name)) {
+        updateCacheRegistry(entries => entries.some(entry => entry.name === name) ? entries : [...entries, {
+          name
+        }]);
+      }
+      return cache;
+    }
+
+    const cache = new Web.Cache(name, options);
+    const storage = cacheStoreJSON(options.storage);
+    if (options.storage !== undefined && storage === undefined) {
+      console.warn(`Cache '${name}' storage cannot be remembered; pass it whenever the cache is opened.`);
+    }
+    const entry = JSON.parse(JSON.stringify({
+      name,
+      options: {
+        ttl: options.ttl,
+        maxEntries: options.maxEntries,
+        storage
+      }
+    }));
+    if (JSON.stringify(cacheRegistry().find(x => x.name === name)) !== JSON.stringify(entry)) {
+      updateCacheRegistry(entries => entries.some(x => x.name === name) ?
+        entries.map(x => x.name === name ? entry : x) :
+        [...entries, entry]);
+    }
+    return cache;
+  }
+
+  /**
+   * Checks whether a cache exists
+   * @param {string} name - Cache name
+   * @returns {boolean} True if it exists
+   */
+  has(name) {
+    return cacheNames().includes(Str(name));
+  }
+
+  /**
+   * Deletes a cache and everything stored in it
+   * @param {string} name - Cache name
+   * @returns {boolean} True if the cache existed
+   */
+  delete(name) {
+    name = Str(name);
+    if (!cacheNames().includes(name)) {
+      return false;
+    }
+    registeredCache(name)['&clear']();
+    updateCacheRegistry(entries => entries.filter(entry => entry.name !== name));
+    return true;
+  }
+
+  /**
+   * Gets the names of all caches
+   * @returns {Array<string>} Cache names in creation order
+   */
+  keys() {
+    return cacheNames();
+  }
+
+  /**
+   * Finds a response in any cache, searched in creation order
+   * @param {Web.Request|string} request - Request or URL
+   * @param {Object} options - cacheName plus ignoreSearch, ignoreMethod, ignoreVary
+   * @returns {Web.Response|undefined} First matching response
+   */
+  match(request, options = {}) {
+    const names = options.cacheName === undefined ? cacheNames() : [Str(options.cacheName)].filter(name => this.has(name));
+    for (const name of names) {
+      const response = registeredCache(name).match(request, options);
+      if (response) {
+        return response;
+      }
+    }
+  }
+};
+
+setProperty(Web, {
+  CacheStorage
+});
+
+setProperty(Web, {
+  caches: new CacheStorage()
+});
@@ -0,0 +1,207 @@
+/**
+ * HTTP caching for Web.fetch - the `cache` request option
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/Request/cache (MDN Web Docs - Request.cache)
+ * @see https://httpwg.org/specs/rfc9111.html (RFC 9111 - HTTP Caching)
+ *
+ * GET responses are stored in a Web.Cache named 'Web.fetch' and reused while
+ * fresh per Cache-Control max-age or Expires. Stale entries with an ETag or
+ * Last-Modified are revalidated with If-None-Match / If-Modified-Since, and
+ * a 304 answer returns the cached response with refreshed headers.
+ *
+ * WHY OPT-IN: UrlFetchApp never caches, and scripts written against it
+ * expect every call to reach the server. Caching only starts when a `cache`
+ * mode is passed, so existing code keeps its behavior.
+ *
+ * WHY NO CREDENTIALS: the cache is shared by every user of the script and
+ * keyed by URL, so requests carrying Authorization or cookies (including a
+ * cookieJar) skip it, and `Cache-Control: private` responses are not stored.
+ * Otherwise one user's response could be served to the next.
+ */
+const httpCacheModes = ['default', 'no-store', 'reload', 'no-cache', 'force-cache', 'only-if-cached'];
+const httpCacheName = 'Web.fetch';
+
+// Statuses that may be stored (RFC 9110 "heuristically cacheable" statuses)
+const cacheableStatuses = [200, 203, 204, 300, 301, 308, 404, 405, 410, 414, 501];
+
+// Request headers that make a request conditional on the caller's own terms
+const conditionalHeaders = ['if-none-match', 'if-modified-since', 'if-match', 'if-unmodified-since', 'if-range'];
+
+/**
+ * Validates the `cache` fetch option
+ * @param {string} mode - Requested cache mode (may be undefined)
+ * @returns {string|undefined} Cache mode, or undefined when caching is off
+ */
+const httpCacheMode = (mode) => {
+  if (mode === undefined || mode === null) {
+    return undefined;
+  }
+  if (!httpCacheModes.includes(mode)) {
+    throw new TypeError(`Failed to execute 'fetch': '${Str(mode)}' is not a valid cache mode.`);
+  }
+  return mode;
+};
+
+/**
+ * Parses a Cache-Control header into its directives
+ * @param {string} value - Cache-Control header value
+ * @returns {Object} Directives keyed by lowercase name (true when valueless)
+ */
+const cacheDirectives = (value) => {
+  const directives = {};
+  for (const part of Str(value ?? '').split(',')) {
+    const [name, ...rest] = part.split('=');
+    if (name.trim()) {
+      directives[name.trim().toLowerCase()] = rest.length ? rest.join('=').trim().replace(/^"|"$/g, '') : true;
+    }
+  }
+  return directives;
+};
+
+/**
+ * Gets how long a stored response stays fresh
+ * Uses max-age, then Expires, then 10% of the time since Last-Modified
+ * @param {Web.Response} response - Cached response
+ * @returns {number} Freshness lifetime in milliseconds
+ */
+const freshnessLifetime = (response) => {
+  const directives = cacheDirectives(response.headers.get('cache-control'));
+  if (directives['no-cache']) {
+    return 0;
+  }
+  if (/^\d+$/.test(directives['max-age'])) {
+    return Number(directives['max-age']) * 1000;
+  }
+  const date = Date.parse(response.headers.get('date')) || response['&cachedAt'];
+  if (response.headers.has('expires')) {
+    const expires = Date.parse(response.headers.get('expires'));
+    return isNaN(expires) ? 0 : Math.max(0, expires - date);
+  }
+  const lastModified = Date.parse(response.headers.get('last-modified'));
+  if (!isNaN(lastModified)) {
+    return Math.max(0, (date - lastModified) / 10);
+  }
+  return 0;
+};
+
+/**
+ * Checks whether a cached response can be used without revalidation
+ * @param {Web.Response} response - Cached response
+ * @returns {boolean} True if fresh
+ */
+const isFresh = (response) => {
+  const age = (Number(response.headers.get('age')) || 0) * 1000 + Date.now() - response['&cachedAt'];
+  return age < freshnessLifetime(response);
+};
+
+/**
+ * Checks whether a response may be stored
+ * @param {Web.Response} response - Network response
+ * @param {Web.Headers} headers - Request headers
+ * @returns {boolean} True if storable
+ */
+const isStorable = (response, headers) => {
+  const directives = cacheDirectives(response.headers.get('cache-control'));
+  return cacheableStatuses.includes(response.status) &&
+    !directives['no-store'] &&
+    !directives['private'] &&
+    !cacheDirectives(headers.get('cache-control'))['no-store'] &&
+    Str(response.headers.get('vary') ?? '').trim() !== '*';
+};
+
+/**
+ * Checks whether a request carries credentials, which keep it out of the shared cache
+ * @param {Web.Headers} headers - Request headers
+ * @param {boolean} cookieJar - True if a cookie jar will add cookies when it is sent
+ * @returns {boolean} True if credentialed
+ */
+const isCredentialed = (headers, cookieJar) => {
+  return cookieJar || headers.has('authorization') || headers.has('cookie');
+};
+
+/**
+ * Stores a response, warning instead of failing the fetch if storage fails
+ * @param {Web.Cache} cache - HTTP cache
+ * @param {Object} request - Request as { url, headers }
+ * @param {Web.Response} response - Response to store
+ */
+const storeResponse = (cache, request, response) => {
+  try {
+    // Keep entries past their freshness so stale ones can still be revalidated
+    cache.put(request, response, {
+      ttl: maxCacheTtl
+    });
+  } catch (e) {
+    console.warn('Could not cache response:', e);
+  }
+};
+
+/**
+ * Fetches through the HTTP cache according to a cache mode
+ * @param {string} mode - Cache mode from httpCacheMode (undefined to bypass)
+ * @param {string} url - Request URL
+ * @param {Object} requestOptions - Request options
+ * @param {Function} network - (requestOptions) => Web.Response, the uncached fetch
+ * @param {boolean} cookieJar - True if a cookie jar will add cookies to the request
+ * @returns {Web.Response} Cached or network response
+ */
+const httpCacheFetch = (mode, url, requestOptions, network, cookieJar = false) => {
+  const method = Str(requestOptions.method ?? 'GET').toUpperCase();
+  const headers = new Web.Headers(requestOptions.headers);
+  if (!mode || mode === 'no-store' || method !== 'GET') {
+    return network(requestOptions);
+  }
+  if (isCredentialed(headers, cookieJar)) {
+    if (mode === 'only-if-cached') {
+      throw new TypeError(`Requests with credentials are never cached: ${Str(url)} (cache mode 'only-if-cached')`);
+    }
+    return network(requestOptions);
+  }
+  // A caller sending its own validators wants the server's answer, not ours
+  if (mode === 'default' && conditionalHeaders.some(name => headers.has(name))) {
+    return network(requestOptions);
+  }
+
+  // Matching on the headers lets Web.Cache honor the response's Vary header
+  const request = {
+    url,
+    headers
+  };
+  const cache = new Web.Cache(httpCacheName);
+  const cached = mode === 'reload' ? undefined : cache.match(request);
+  if (cached) {
+    cached[$type] = 'basic';
+    if (mode === 'force-cache' || mode === 'only-if-cached' || (mode === 'default' && isFresh(cached))) {
+      return cached;
+    }
+  } else if (mode === 'only-if-cached') {
+    throw new TypeError(`No cached response for ${Str(url)} (cache mode 'only-if-cached')`);
+  }
+
+  let options = requestOptions;
+  const etag = cached?.headers.get('etag');
+  const lastModified = cached?.headers.get('last-modified');
+  if (etag || lastModified) {
+    const conditional = new Web.Headers(headers);
+    if (etag) conditional.set('If-None-Match', etag);
+    if (lastModified) conditional.set('If-Modified-Since', lastModified);
+    options = {
+      ...requestOptions,
+      headers: conditional
+    };
+  }
+
+  const response = network(options);
+  if (cached && response.status === 304) {
+    // Refresh the stored headers from the 304 and restart its freshness clock
+    response.headers.forEach((value, name) => cached.headers.set(name, value));
+    cached.headers.delete('age');
+    storeResponse(cache, request, cached);
+    setHidden(cached, '&cachedAt', Date.now());
+    return cached;
+  }
+  if (isStorable(response, headers)) {
+    storeResponse(cache, request, response);
+  }
+  return response;
+};
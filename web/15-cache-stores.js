@@ -0,0 +1,537 @@
+/**
+ * Storage backends for Web.Cache
+ *
+ * A store has the same methods as an Apps Script Cache (get, getAll, put,
+ * putAll, remove, removeAll), so CacheService caches work as stores
+ * unchanged. Stores may also define:
+ * - maxTtl: longest expiration in seconds (default CacheService's 21600)
+ * - chunkSize: longest value in characters (default 90KB)
+ * - toJSON(): a description Web.caches can save to reopen the store later
+ *
+ * WHY: CacheService is volatile and drops everything after 6 hours at most,
+ * which suits API responses but not reference data that changes once a
+ * month. These stores keep entries until their TTL runs out or they are
+ * deleted. A `ttl` given to put() is honored; without one values never expire.
+ *
+ * Pick a store with the `storage` option when opening a cache:
+ * - 'cache', 'user-cache', 'document-cache': CacheService (the default is 'cache')
+ * - 'script-properties', 'user-properties', 'document-properties': PropertiesService
+ * - 'drive': a 'Web.Cache' folder in My Drive, one file per entry
+ * - 'sheet': a 'Web.Cache' sheet in the spreadsheet the script is bound to
+ * - a Web.PropertiesStore, Web.DriveStore, Web.SheetStore or any object with
+ *   the store methods above
+ *
+ * Example usage:
+ *   const reference = Web.caches.open('reference', { storage: 'drive' });
+ *   const countries = Web.caches.open('countries', {
+ *     storage: new Web.SheetStore('1AbC...spreadsheetId')
+ *   });
+ */
+const $store = Symbol('*store');
+const $storeScope = Symbol('*storeScope');
+
+const defaultStoreName = 'Web.Cache';
+
+/**
+ * Gets the expiration time for a stored value
+ * @param {number} ttl - Seconds to keep the value (undefined or Infinity for no expiry)
+ * @returns {string} Epoch milliseconds, or '' when it never expires
+ */
+const storeExpires = (ttl) => {
+  return Number.isFinite(ttl) ? Str(Date.now() + ttl * 1000) : '';
+};
+
+/**
+ * Checks whether a stored expiration time has passed
+ * @param {string|number} expires - From storeExpires
+ * @returns {boolean} True if expired
+ */
+const storeExpired = (expires) => {
+  return Str(expires ?? '') !== '' && Number(expires) <= Date.now();
+};
+
+/**
+ * Prefixes a value with its expiration time, for stores with a single value per key
+ * @param {string} value - Value
+ * @param {number} ttl - Seconds to keep the value
+ * @returns {string} Stored value
+ */
+const packStoreValue = (value, ttl) => {
+  return `${storeExpires(ttl)}:${Str(value)}`;
+};
+
+/**
+ * Reads a value written by packStoreValue
+ * @param {string} stored - Stored value (may be null)
+ * @returns {string|null} Value, or null if missing or expired
+ */
+const unpackStoreValue = (stored) => {
+  if (stored == null) {
+    return null;
+  }
+  stored = Str(stored);
+  const colon = stored.indexOf(':');
+  return storeExpired(stored.slice(0, colon)) ? null : stored.slice(colon + 1);
+};
+
+/**
+ * Web.PropertiesStore - Keeps cache entries in PropertiesService
+ *
+ * Property values are limited to 9KB and each store to 500KB in total, so
+ * this suits small responses such as configuration and lookup tables.
+ */
+const PropertiesStore = class WebPropertiesStore {
+
+  /**
+   * Creates a new PropertiesStore
+   * @param {string|Properties} properties - 'script', 'user', 'document' or a Properties object (default 'script')
+   */
+  constructor(properties = 'script') {
+    if (typeof properties === 'string') {
+      const scopes = {
+        script: () => PropertiesService.getScriptProperties(),
+        user: () => PropertiesService.getUserProperties(),
+        document: () => PropertiesService.getDocumentProperties()
+      };
+      if (!scopes[properties]) {
+        throw new TypeError(`Unknown properties scope '${properties}'. Expected 'script', 'user' or 'document'.`);
+      }
+      this[$storeScope] = properties;
+      properties = scopes[properties]();
+      if (!properties) {
+        throw new TypeError(`No ${this[$storeScope]} properties: the script is not bound to a document.`);
+      }
+    }
+    this[$store] = properties;
+  }
+
+  /**
+   * Values never expire unless given a TTL
+   * @returns {number} Infinity
+   */
+  get maxTtl() {
+    return Infinity;
+  }
+
+  /**
+   * Longest value, kept under the 9KB property value limit
+   * @returns {number} Characters
+   */
+  get chunkSize() {
+    return 8000;
+  }
+
+  /**
+   * Gets a value
+   * @param {string} key - Key
+   * @returns {string|null} Value, or null if missing or expired
+   */
+  get(key) {
+    return unpackStoreValue(this[$store].getProperty(key));
+  }
+
+  /**
+   * Gets several values
+   * @param {Array<string>} keys - Keys
+   * @returns {Object} Values found, keyed by key
+   */
+  getAll(keys) {
+    const properties = this[$store].getProperties();
+    const values = {};
+    for (const key of keys) {
+      const value = unpackStoreValue(properties[key]);
+      if (value !== null) {
+        values[key] = value;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Stores a value
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @param {number} ttl - Optional seconds to keep the value
+   */
+  put(key, value, ttl) {
+    this[$store].setProperty(key, packStoreValue(value, ttl));
+  }
+
+  /**
+   * Stores several values
+   * @param {Object} values - Values keyed by key
+   * @param {number} ttl - Optional seconds to keep the values
+   */
+  putAll(values, ttl) {
+    const properties = {};
+    for (const key in values) {
+      properties[key] = packStoreValue(values[key], ttl);
+    }
+    this[$store].setProperties(properties);
+  }
+
+  /**
+   * Removes a value
+   * @param {string} key - Key
+   */
+  remove(key) {
+    this[$store].deleteProperty(key);
+  }
+
+  /**
+   * Removes several values
+   * @param {Array<string>} keys - Keys
+   */
+  removeAll(keys) {
+    for (const key of keys) {
+      this.remove(key);
+    }
+  }
+
+  /**
+   * Describes the store for Web.caches
+   * @returns {string|undefined} Storage name, or undefined for a Properties object
+   */
+  toJSON() {
+    return this[$storeScope] && `${this[$storeScope]}-properties`;
+  }
+};
+
+/**
+ * Web.DriveStore - Keeps cache entries as files in a Drive folder
+ *
+ * Each file is named by its key. Values up to 9MB are written as one file,
+ * so an entry is a single file unless its body is larger than that.
+ */
+const DriveStore = class WebDriveStore {
+
+  /**
+   * Creates a new DriveStore
+   * @param {Folder|string} folder - Folder or folder ID (default a 'Web.Cache' folder in My Drive)
+   */
+  constructor(folder) {
+    if (folder === undefined) {
+      const folders = DriveApp.getRootFolder().getFoldersByName(defaultStoreName);
+      folder = folders.hasNext() ? folders.next() : DriveApp.getRootFolder().createFolder(defaultStoreName);
+    } else if (typeof folder === 'string') {
+      folder = DriveApp.getFolderById(folder);
+    }
+    this[$store] = folder;
+  }
+
+  /**
+   * Values never expire unless given a TTL
+   * @returns {number} Infinity
+   */
+  get maxTtl() {
+    return Infinity;
+  }
+
+  /**
+   * Longest value, kept under the 10MB limit for creating a file from a string
+   * @returns {number} Characters
+   */
+  get chunkSize() {
+    return 9 * 1024 * 1024;
+  }
+
+  /**
+   * Gets a value
+   * @param {string} key - Key
+   * @returns {string|null} Value, or null if missing or expired
+   */
+  get(key) {
+    const files = this[$store].getFilesByName(key);
+    return files.hasNext() ? unpackStoreValue(files.next().getBlob().getDataAsString()) : null;
+  }
+
+  /**
+   * Gets several values
+   * @param {Array<string>} keys - Keys
+   * @returns {Object} Values found, keyed by key
+   */
+  getAll(keys) {
+    const values = {};
+    for (const key of keys) {
+      const value = this.get(key);
+      if (value !== null) {
+        values[key] = value;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Stores a value
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @param {number} ttl - Optional seconds to keep the value
+   */
+  put(key, value, ttl) {
+    const files = this[$store].getFilesByName(key);
+    if (files.hasNext()) {
+      files.next().setContent(packStoreValue(value, ttl));
+    } else {
+      this[$store].createFile(key, packStoreValue(value, ttl), MimeType.PLAIN_TEXT);
+    }
+  }
+
+  /**
+   * Stores several values
+   * @param {Object} values - Values keyed by key
+   * @param {number} ttl - Optional seconds to keep the values
+   */
+  putAll(values, ttl) {
+    for (const key in values) {
+      this.put(key, values[key], ttl);
+    }
+  }
+
+  /**
+   * Moves a value's files to the trash
+   * @param {string} key - Key
+   */
+  remove(key) {
+    const files = this[$store].getFilesByName(key);
+    while (files.hasNext()) {
+      files.next().setTrashed(true);
+    }
+  }
+
+  /**
+   * Moves several values' files to the trash
+   * @param {Array<string>} keys - Keys
+   */
+  removeAll(keys) {
+    for (const key of keys) {
+      this.remove(key);
+    }
+  }
+
+  /**
+   * Describes the store for Web.caches
+   * @returns {Object} { type: 'drive', id }
+   */
+  toJSON() {
+    return {
+      type: 'drive',
+      id: this[$store].getId()
+    };
+  }
+};
+
+/**
+ * Web.SheetStore - Keeps cache entries as rows of a sheet
+ *
+ * Rows hold the key, the expiration time (epoch ms, blank for never) and the
+ * value. Cells hold at most 50,000 characters, so larger bodies span rows.
+ */
+const SheetStore = class WebSheetStore {
+
+  /**
+   * Creates a new SheetStore
+   * @param {Spreadsheet|Sheet|string} spreadsheet - Spreadsheet, sheet or spreadsheet ID (default the bound spreadsheet)
+   * @param {string} name - Sheet name, created if missing (default 'Web.Cache')
+   */
+  constructor(spreadsheet, name = defaultStoreName) {
+    if (spreadsheet === undefined) {
+      spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+      if (!spreadsheet) {
+        throw new TypeError('No spreadsheet for the cache: the script is not bound to one, so pass a spreadsheet or its ID.');
+      }
+    } else if (typeof spreadsheet === 'string') {
+      spreadsheet = SpreadsheetApp.openById(spreadsheet);
+    }
+    // A Sheet has getParent(); a Spreadsheet has getSheetByName()
+    this[$store] = typeof spreadsheet.getSheetByName === 'function' ?
+      spreadsheet.getSheetByName(name) ?? spreadsheet.insertSheet(name) :
+      spreadsheet;
+  }
+
+  /**
+   * Values never expire unless given a TTL
+   * @returns {number} Infinity
+   */
+  get maxTtl() {
+    return Infinity;
+  }
+
+  /**
+   * Longest value, kept under the 50,000 character cell limit
+   * @returns {number} Characters
+   */
+  get chunkSize() {
+    return 45000;
+  }
+
+  /**
+   * Gets a value
+   * @param {string} key - Key
+   * @returns {string|null} Value, or null if missing or expired
+   */
+  get(key) {
+    return this.getAll([key])[key] ?? null;
+  }
+
+  /**
+   * Gets several values
+   * @param {Array<string>} keys - Keys
+   * @returns {Object} Values found, keyed by key
+   */
+  getAll(keys) {
+    const values = {};
+    for (const [key, expires, value] of this['&rows']()) {
+      if (keys.includes(key) && !storeExpired(expires)) {
+        values[key] = value;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Stores a value
+   * @param {string} key - Key
+   * @param {string} value - Value
+   * @param {number} ttl - Optional seconds to keep the value
+   */
+  put(key, value, ttl) {
+    this.putAll({
+      [key]: value
+    }, ttl);
+  }
+
+  /**
+   * Stores several values, overwriting rows with the same keys
+   * @param {Object} values - Values keyed by key
+   * @param {number} ttl - Optional seconds to keep the values
+   */
+  putAll(values, ttl) {
+    const sheet = this[$store];
+    const expires = storeExpires(ttl);
+    // Row numbers are only good until another execution adds or deletes rows
+    withScriptLock(() => {
+      const rows = this['&rows']().map(row => row[0]);
+      const added = [];
+      for (const key in values) {
+        const row = [key, expires, Str(values[key])];
+        const index = rows.indexOf(key);
+        if (index === -1) {
+          added.push(row);
+        } else {
+          // Plain text format stops Sheets turning values into numbers or dates
+          sheet.getRange(index + 1, 1, 1, 3).setNumberFormat('@').setValues([row]);
+        }
+      }
+      if (added.length) {
+        sheet.getRange(rows.length + 1, 1, added.length, 3).setNumberFormat('@').setValues(added);
+      }
+    });
+  }
+
+  /**
+   * Removes a value
+   * @param {string} key - Key
+   */
+  remove(key) {
+    this.removeAll([key]);
+  }
+
+  /**
+   * Removes several values, deleting their rows
+   * @param {Array<string>} keys - Keys
+   */
+  removeAll(keys) {
+    withScriptLock(() => {
+      const rows = this['&rows']();
+      // Bottom up, so deleting a row does not shift the ones still to delete
+      for (let i = rows.length - 1; i >= 0; i--) {
+        if (keys.includes(rows[i][0])) {
+          this[$store].deleteRow(i + 1);
+        }
+      }
+    });
+  }
+
+  /**
+   * Describes the store for Web.caches
+   * @returns {Object} { type: 'sheet', id, sheet }
+   */
+  toJSON() {
+    return {
+      type: 'sheet',
+      id: this[$store].getParent().getId(),
+      sheet: this[$store].getName()
+    };
+  }
+};
+
+/**
+ * Reads every row of the sheet
+ * @returns {Array<Array<string>>} Rows as [key, expires, value]
+ */
+setHidden(SheetStore.prototype, '&rows', function rows() {
+  const last = this[$store].getLastRow();
+  return last ? this[$store].getRange(1, 1, last, 3).getDisplayValues() : [];
+});
+
+setProperty(Web, {
+  PropertiesStore
+});
+
+setProperty(Web, {
+  DriveStore
+});
+
+setProperty(Web, {
+  SheetStore
+});
+
+/**
+ * Resolves the `storage` option of Web.Cache into a store
+ * @param {string|Object} storage - Storage name, description from toJSON(), or store
+ * @returns {Object} Store
+ * @throws {TypeError} If the storage is not recognized
+ */
+const cacheStore = (storage) => {
+  if (storage === undefined || storage === null || storage === 'cache') {
+    return ScriptCache();
+  }
+  if (typeof storage === 'string') {
+    const stores = {
+      'user-cache': () => CacheService.getUserCache(),
+      'document-cache': () => CacheService.getDocumentCache(),
+      'script-properties': () => new Web.PropertiesStore('script'),
+      'user-properties': () => new Web.PropertiesStore('user'),
+      'document-properties': () => new Web.PropertiesStore('document'),
+      'drive': () => new Web.DriveStore(),
+      'sheet': () => new Web.SheetStore()
+    };
+    const store = stores[storage]?.();
+    if (!store) {
+      throw new TypeError(`Unknown cache storage '${storage}'.`);
+    }
+    return store;
+  }
+  if (storage.type === 'drive') {
+    return new Web.DriveStore(storage.id);
+  }
+  if (storage.type === 'sheet') {
+    return new Web.SheetStore(storage.id, storage.sheet);
+  }
+  if (typeof storage.get !== 'function' || typeof storage.put !== 'function') {
+    throw new TypeError('Cache storage must be a storage name or an object with get, getAll, put, putAll, remove and removeAll.');
+  }
+  return storage;
+};
+
+/**
+ * Gets the JSON description of a `storage` option, for Web.caches to save
+ * @param {string|Object} storage - Storage name, description or store
+ * @returns {string|Object|undefined} Description, or undefined if it has none
+ */
+const cacheStoreJSON = (storage) => {
+  if (typeof storage === 'string' || storage?.type) {
+    return storage;
+  }
+  return storage?.toJSON?.();
+};
@@ -0,0 +1,352 @@
+/**
+ * Web.Router - Routes incoming requests by method and path
+ *
+ * @see https://expressjs.com/en/guide/routing.html (Express - Routing, for the path syntax)
+ *
+ * Register handlers per method and path pattern, then hand router.handle to
+ * Web.addEventListener('fetch', ...) or call it from doGet/doPost. Handlers
+ * receive the Web.RequestEvent with the matched path parameters in
+ * `event.params`, and return a Web.Response (or call event.respondWith).
+ *
+ * Path patterns:
+ * - '/users/:id' captures one segment as params.id
+ * - '/users/:id?' makes that segment optional
+ * - '/files/*' captures the rest of the path as params['*']
+ *
+ * The request path is the web app's pathInfo (/exec/users/1 gives
+ * '/users/1'). Without one, a `path` query parameter is used instead, for
+ * clients that cannot add to the /exec URL. Trailing slashes are ignored.
+ *
+ * When no route matches the path the router answers 404. When routes match
+ * the path but not the method it answers 405 with an Allow header listing
+ * the methods that would have matched. Both can be replaced with notFound()
+ * and methodNotAllowed(); only the router whose handle() was called uses them.
+ *
+ * Example usage:
+ *   const api = new Web.Router()
+ *     .get('/users/:id', event => new Web.Response(JSON.stringify(findUser(event.params.id))))
+ *     .post('/users', event => createUser(event.json()));
+ *   const router = new Web.Router().mount('/api', api);
+ *   Web.addEventListener('fetch', router.handle);
+ */
+const $routerRoutes = Symbol('*routerRoutes');
+const $routerFallbacks = Symbol('*routerFallbacks');
+
+/**
+ * Compiles a path pattern into a regular expression
+ * @param {string} pattern - Path pattern such as '/users/:id'
+ * @param {boolean} prefix - Also match longer paths, capturing the rest
+ * @returns {{regex: RegExp, names: Array<string>}} Compiled pattern and parameter names
+ */
+const compilePathPattern = (pattern, prefix = false) => {
+  const names = [];
+  let source = '';
+  for (const segment of Str(pattern).split('/').filter(Boolean)) {
+    const param = segment.match(/^:([A-Za-z_$][\w$]*)(\?)?$/);
+    if (segment === '*') {
+      names.push('*');
+      source += '(?:/(.*))?';
+    } else if (param) {
+      names.push(param[1]);
+      source += param[2] ? '(?:/([^/]+))?' : '/([^/]+)';
+    } else {
+      source += '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return {
+    regex: new RegExp('^' + source + (prefix ? '(/.*)?' : '') + '$'),
+    names
+  };
+};
+
+/**
+ * Normalizes a request path: one leading slash, no trailing slash
+ * The root path becomes ''
+ * @param {string} path - Path
+ * @returns {string} Normalized path
+ */
+const normalizeRoutePath = (path) => {
+  const trimmed = Str(path ?? '').replace(/^\/+|\/+$/g, '');
+  return trimmed ? '/' + trimmed : '';
+};
+
+/**
+ * Decodes a path parameter, keeping it as-is if it is not valid percent-encoding
+ * @param {string} value - Captured value
+ * @returns {string} Decoded value
+ */
+const decodeRouteParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (_) {
+    return value;
+  }
+};
+
+/**
+ * Matches a compiled pattern against a path
+ * @param {Object} compiled - From compilePathPattern
+ * @param {string} path - Normalized path
+ * @returns {{params: Object, rest: string}|null} Parameters and, for prefixes, the rest of the path
+ */
+const matchPathPattern = (compiled, path) => {
+  const match = compiled.regex.exec(path);
+  if (!match) {
+    return null;
+  }
+  const params = {};
+  compiled.names.forEach((name, i) => {
+    if (match[i + 1] !== undefined) {
+      params[name] = decodeRouteParam(match[i + 1]);
+    } else if (name === '*') {
+      params[name] = '';
+    }
+  });
+  return {
+    params,
+    rest: match[compiled.names.length + 1] ?? ''
+  };
+};
+
+/**
+ * Gets the path a request event should be routed by
+ * @param {Web.RequestEvent} event - Request event
+ * @returns {string} Normalized path
+ */
+const routePath = (event) => {
+  return normalizeRoutePath(event.pathInfo || event.parameter?.path || '');
+};
+
+/**
+ * Checks whether a route's methods accept a request method
+ * HEAD requests are answered by GET routes
+ * @param {Array<string>} methods - Route methods ('*' for any)
+ * @param {string} method - Request method
+ * @returns {boolean} True if accepted
+ */
+const routeAcceptsMethod = (methods, method) => {
+  return methods.includes('*') || methods.includes(method) ||
+    (method === 'HEAD' && methods.includes('GET'));
+};
+
+const Router = class WebRouter {
+
+  /**
+   * Creates a new Router
+   * router.handle is bound, so it can be passed around on its own
+   */
+  constructor() {
+    this[$routerRoutes] = [];
+    this[$routerFallbacks] = {};
+    setHidden(this, 'handle', this.handle.bind(this));
+  }
+
+  /**
+   * Registers a handler; routes are tried in the order they were added
+   * @param {string|Array<string>} method - HTTP method(s), or '*' for any
+   * @param {string} path - Path pattern
+   * @param {Function} handler - (event) => Web.Response
+   * @returns {Web.Router} This router, for chaining
+   */
+  route(method, path, handler) {
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Router handler for ${Str(path)} must be a function`);
+    }
+    this[$routerRoutes].push({
+      methods: [method ?? '*'].flat().map(x => Str(x).toUpperCase()),
+      pattern: compilePathPattern(path),
+      handler
+    });
+    return this;
+  }
+
+  /**
+   * Registers a GET handler (also used for HEAD)
+   * @param {string} path - Path pattern
+   * @param {Function} handler - (event) => Web.Response
+   * @returns {Web.Router} This router, for chaining
+   */
+  get(path, handler) {
+    return this.route('GET', path, handler);
+  }
+
+  /**
+   * Registers a POST handler
+   * @param {string} path - Path pattern
+   * @param {Function} handler - (event) => Web.Response
+   * @returns {Web.Router} This router, for chaining
+   */
+  post(path, handler) {
+    return this.route('POST', path, handler);
+  }
+
+  /**
+   * Registers a PUT handler
+   * @param {string} path - Path pattern
+   * @param {Function} handler - (event) => Web.Response
+   * @returns {Web.Router} This router, for chaining
+   */
+  put(path, handler) {
+    return this.route('PUT', path, handler);
+  }
+
+  /**
+   * Registers a PATCH handler
+   * @param {string} path - Path pattern
+   * @param {Function} handler - (event) => Web.Response
+   * @returns {Web.Router} This router, for chaining
+   */
+  patch(path, handler) {
+    return this.route('PATCH', path, handler);
+  }
+
+  /**
+   * Registers a DELETE handler
+   * @param {string} path - Path pattern
+   * @param {Function} handler - (event) => Web.Response
+   * @returns {Web.Router} This router, for chaining
+   */
+  delete(path, handler) {
+    return this.route('DELETE', path, handler);
+  }
+
+  /**
+   * Registers a handler for every method
+   * @param {string} path - Path pattern
+   * @param {Function} handler - (event) => Web.Response
+   * @returns {Web.Router} This router, for chaining
+   */
+  all(path, handler) {
+    return this.route('*', path, handler);
+  }
+
+  /**
+   * Mounts a router (or a handler for every method) under a path prefix
+   * The mounted router sees the path below the prefix; parameters captured
+   * by the prefix are passed down to its handlers
+   * @param {string} prefix - Path pattern such as '/api' or '/teams/:team'
+   * @param {Web.Router|Function} target - Router or (event) => Web.Response
+   * @returns {Web.Router} This router, for chaining
+   */
+  mount(prefix, target) {
+    if (typeof target === 'function') {
+      return this.all(normalizeRoutePath(prefix) + '/*', target);
+    }
+    if (!instanceOf(target, Web.Router)) {
+      throw new TypeError(`Router can only mount a Web.Router or a function at ${Str(prefix)}`);
+    }
+    this[$routerRoutes].push({
+      prefix: compilePathPattern(prefix, true),
+      router: target
+    });
+    return this;
+  }
+
+  /**
+   * Replaces the 404 response for paths no route matches
+   * @param {Function} handler - (event) => Web.Response
+   * @returns {Web.Router} This router, for chaining
+   */
+  notFound(handler) {
+    this[$routerFallbacks].notFound = handler;
+    return this;
+  }
+
+  /**
+   * Replaces the 405 response for paths matched only by routes for other methods
+   * The Allow header is added to the response if the handler leaves it out
+   * @param {Function} handler - (event, allow) => Web.Response, allow being the accepted methods
+   * @returns {Web.Router} This router, for chaining
+   */
+  methodNotAllowed(handler) {
+    this[$routerFallbacks].methodNotAllowed = handler;
+    return this;
+  }
+
+  /**
+   * Routes a request to the first matching handler
+   * @param {Web.RequestEvent|Object} event - Request event, or a raw doGet/doPost event
+   * @returns {Web.Response|*} Whatever the handler returned or passed to respondWith
+   */
+  handle(event) {
+    event = instanceOf(event, Web.RequestEvent) ? event : new Web.RequestEvent(event);
+    const result = this['&dispatch'](event, routePath(event), {});
+    if (result?.matched) {
+      return result.response;
+    }
+
+    event.params = {};
+    const fallbacks = this[$routerFallbacks];
+    if (!result) {
+      return fallbacks.notFound?.(event) ?? event['&respondWith'] ?? new Web.Response('Not Found', {
+        status: 404,
+        headers: {
+          'Content-Type': 'text/plain'
+        }
+      });
+    }
+
+    const allow = [...new Set(result.allow.flatMap(method => method === 'GET' ? ['GET', 'HEAD'] : [method]))].sort().join(', ');
+    const response = fallbacks.methodNotAllowed?.(event, allow.split(', ')) ?? event['&respondWith'] ?? new Web.Response('Method Not Allowed', {
+      status: 405,
+      headers: {
+        'Content-Type': 'text/plain'
+      }
+    });
+    if (instanceOf(response, Web.Response) && !response.headers.has('allow')) {
+      response.headers.set('Allow', allow);
+    }
+    return response;
+  }
+};
+
+/**
+ * Finds and runs the first route matching a path
+ * @param {Web.RequestEvent} event - Request event
+ * @param {string} path - Normalized path, relative to this router's mount point
+ * @param {Object} params - Parameters captured by enclosing mount points
+ * @returns {Object|undefined} { matched, response } when a route ran, { allow } when
+ *   only other methods matched, undefined when nothing matched the path
+ */
+setHidden(Router.prototype, '&dispatch', function dispatch(event, path, params) {
+  const method = Str(event.method ?? 'GET').toUpperCase();
+  const allow = [];
+  for (const route of this[$routerRoutes]) {
+    if (route.router) {
+      const match = matchPathPattern(route.prefix, path);
+      const result = match && route.router['&dispatch'](event, match.rest, {
+        ...params,
+        ...match.params
+      });
+      if (result?.matched) {
+        return result;
+      }
+      allow.push(...result?.allow ?? []);
+      continue;
+    }
+
+    const match = matchPathPattern(route.pattern, path);
+    if (!match) {
+      continue;
+    }
+    if (!routeAcceptsMethod(route.methods, method)) {
+      allow.push(...route.methods);
+      continue;
+    }
+    event.params = {
+      ...params,
+      ...match.params
+    };
+    return {
+      matched: true,
+      response: route.handler(event) ?? event['&respondWith']
+    };
+  }
+  return allow.length ? {
+    allow
+  } : undefined;
+});
+
+setProperty(Web, {
+  Router
+});
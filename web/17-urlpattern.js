@@ -0,0 +1,613 @@
+/**
+ * Web.URLPattern - URL Pattern API implementation
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/URLPattern (MDN Web Docs - URLPattern)
+ * @see https://urlpattern.spec.whatwg.org/ (URL Pattern Standard)
+ *
+ * Matches URLs against patterns made of eight components (protocol,
+ * username, password, hostname, port, pathname, search, hash), each written
+ * in the same syntax as Web.Router paths and path-to-regexp:
+ * - ':name' is a named group matching one segment ('/' in pathnames, '.' in hostnames)
+ * - ':name(\\d+)' and '(\\d+)' are groups with a custom regular expression
+ * - '*' matches anything
+ * - '{...}' groups text so a modifier applies to all of it
+ * - '?', '*' and '+' after a group make it optional, repeated, or both
+ *
+ * Inputs are parsed with Web.URL, so the same base URL resolution applies.
+ *
+ * WHY: URLPattern is how routes are written in Cloudflare Workers and Deno,
+ * so route tables shared with that code can be used here unchanged.
+ *
+ * Differences from the standard: component patterns are not canonicalized
+ * (a hostname pattern is not punycode-encoded, for example), and group
+ * regular expressions use JavaScript's own syntax without the 'v' flag.
+ *
+ * Example usage:
+ *   const pattern = new Web.URLPattern({ pathname: '/books/:id(\\d+)' });
+ *   pattern.test('https://example.com/books/123'); // true
+ *   pattern.exec('https://example.com/books/123').pathname.groups.id; // '123'
+ */
+const $patternComponents = Symbol('*patternComponents');
+
+const urlPatternComponents = ['protocol', 'username', 'password', 'hostname', 'port', 'pathname', 'search', 'hash'];
+
+// Default ports of the special schemes, which URLs leave out
+const specialSchemePorts = {
+  'ftp': '21',
+  'file': '',
+  'http': '80',
+  'https': '443',
+  'ws': '80',
+  'wss': '443'
+};
+
+/**
+ * Splits a pattern string into tokens
+ * @param {string} input - Pattern string
+ * @param {boolean} lenient - Treat malformed names and groups as plain characters
+ * @returns {Array<Object>} Tokens as { type, value, index, end }
+ * @throws {TypeError} For malformed patterns when not lenient
+ */
+const tokenizePattern = (input, lenient = false) => {
+  const tokens = [];
+  const fail = (message, index) => {
+    throw new TypeError(`Invalid URL pattern '${input}' at ${index}: ${message}`);
+  };
+  let i = 0;
+  while (i < input.length) {
+    const c = input[i];
+    const push = (type, value, end) => {
+      tokens.push({
+        type,
+        value,
+        index: i,
+        end
+      });
+      i = end;
+    };
+    if (c === '*') {
+      push('asterisk', c, i + 1);
+    } else if (c === '+' || c === '?') {
+      push('other-modifier', c, i + 1);
+    } else if (c === '\\') {
+      if (i + 1 < input.length) {
+        push('escaped-char', input[i + 1], i + 2);
+      } else if (lenient) {
+        push('invalid-char', c, i + 1);
+      } else {
+        fail('trailing escape', i);
+      }
+    } else if (c === '{') {
+      push('open', c, i + 1);
+    } else if (c === '}') {
+      push('close', c, i + 1);
+    } else if (c === ':') {
+      const name = input.slice(i + 1).match(/^[$_\p{ID_Start}][$\u200C\u200D\p{ID_Continue}]*/u)?.[0];
+      if (name) {
+        push('name', name, i + 1 + name.length);
+      } else if (lenient) {
+        push('char', c, i + 1);
+      } else {
+        fail('missing group name', i);
+      }
+    } else if (c === '(') {
+      let depth = 1;
+      let j = i + 1;
+      let error = null;
+      if (input[j] === '?') {
+        error = 'regexp group must not start with ?';
+      }
+      while (!error && j < input.length && depth) {
+        if (input[j] === '\\') {
+          j += 2;
+          continue;
+        }
+        if (input[j] === ')') {
+          depth--;
+        } else if (input[j] === '(') {
+          depth++;
+          if (input[j + 1] !== '?') {
+            error = 'nested regexp groups must be non-capturing';
+          }
+        }
+        j++;
+      }
+      if (!error && depth) {
+        error = 'unbalanced regexp group';
+      } else if (!error && j - 1 === i + 1) {
+        error = 'empty regexp group';
+      }
+      if (!error) {
+        push('regexp', input.slice(i + 1, j - 1), j);
+      } else if (lenient) {
+        push('regexp-error', c, i + 1);
+      } else {
+        fail(error, i);
+      }
+    } else {
+      push('char', c, i + 1);
+    }
+  }
+  tokens.push({
+    type: 'end',
+    value: '',
+    index: input.length,
+    end: input.length
+  });
+  return tokens;
+};
+
+/**
+ * Escapes text for use inside a regular expression
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeRegexpText = (text) => {
+  return Str(text).replace(/[.+*?^${}()[\]|/\\]/g, '\\$&');
+};
+
+/**
+ * Escapes text so a pattern matches it literally
+ * @param {string} text - Text
+ * @returns {string} Pattern string
+ */
+const escapePatternText = (text) => {
+  return Str(text).replace(/[+*?:{}()\\]/g, '\\$&');
+};
+
+/**
+ * Compiles one component pattern into a regular expression
+ * @param {string} pattern - Component pattern
+ * @param {Object} options - delimiter, prefix and ignoreCase
+ * @returns {{regex: RegExp, names: Array<string>, hasRegExpGroups: boolean}} Compiled component
+ * @throws {TypeError} For malformed patterns
+ */
+const compileUrlPatternComponent = (pattern, options) => {
+  const tokens = tokenizePattern(pattern);
+  const segmentWildcard = options.delimiter ? `[^${escapeRegexpText(options.delimiter)}]+?` : '[^]+?';
+  const parts = [];
+  const names = [];
+  let pending = '';
+  let index = 0;
+  let numericName = 0;
+  let hasRegExpGroups = false;
+
+  const tryConsume = (type) => tokens[index].type === type ? tokens[index++] : null;
+  const tryConsumeModifier = () => tryConsume('other-modifier') ?? tryConsume('asterisk');
+  const tryConsumeMatcher = (name) => tryConsume('regexp') ?? (name ? null : tryConsume('asterisk'));
+  const consumeText = () => {
+    let text = '';
+    for (let token; (token = tryConsume('char') ?? tryConsume('escaped-char'));) {
+      text += token.value;
+    }
+    return text;
+  };
+  const flush = () => {
+    if (pending) {
+      parts.push({
+        type: 'fixed',
+        value: pending,
+        modifier: ''
+      });
+      pending = '';
+    }
+  };
+  const addPart = (prefix, name, matcher, suffix, modifier) => {
+    if (!name && !matcher && !modifier) {
+      pending += prefix;
+      return;
+    }
+    flush();
+    if (!name && !matcher) {
+      if (prefix) {
+        parts.push({
+          type: 'fixed',
+          value: prefix,
+          modifier
+        });
+      }
+      return;
+    }
+    const value = matcher?.type === 'regexp' ? matcher.value : matcher ? '.*' : segmentWildcard;
+    if (matcher?.type === 'regexp' && value !== segmentWildcard && value !== '.*') {
+      hasRegExpGroups = true;
+    }
+    const key = name ? name.value : String(numericName++);
+    if (names.includes(key)) {
+      throw new TypeError(`Invalid URL pattern '${pattern}': duplicate group name '${key}'`);
+    }
+    names.push(key);
+    parts.push({
+      type: 'group',
+      value,
+      prefix,
+      suffix,
+      modifier
+    });
+  };
+
+  for (;;) {
+    const char = tryConsume('char');
+    const name = tryConsume('name');
+    const matcher = tryConsumeMatcher(name);
+    if (name || matcher) {
+      let prefix = char?.value ?? '';
+      if (prefix !== options.prefix) {
+        pending += prefix;
+        prefix = '';
+      }
+      flush();
+      addPart(prefix, name, matcher, '', tryConsumeModifier()?.value ?? '');
+      continue;
+    }
+    const fixed = char ?? tryConsume('escaped-char');
+    if (fixed) {
+      pending += fixed.value;
+      continue;
+    }
+    if (tryConsume('open')) {
+      const prefix = consumeText();
+      const innerName = tryConsume('name');
+      const innerMatcher = tryConsumeMatcher(innerName);
+      const suffix = consumeText();
+      if (!tryConsume('close')) {
+        throw new TypeError(`Invalid URL pattern '${pattern}': expected '}' at ${tokens[index].index}`);
+      }
+      addPart(prefix, innerName, innerMatcher, suffix, tryConsumeModifier()?.value ?? '');
+      continue;
+    }
+    flush();
+    if (!tryConsume('end')) {
+      throw new TypeError(`Invalid URL pattern '${pattern}': unexpected '${tokens[index].value}' at ${tokens[index].index}`);
+    }
+    break;
+  }
+
+  let source = '';
+  for (const part of parts) {
+    if (part.type === 'fixed') {
+      source += part.modifier ? `(?:${escapeRegexpText(part.value)})${part.modifier}` : escapeRegexpText(part.value);
+      continue;
+    }
+    const prefix = escapeRegexpText(part.prefix);
+    const suffix = escapeRegexpText(part.suffix);
+    if (!prefix && !suffix) {
+      source += part.modifier === '' || part.modifier === '?' ?
+        `(${part.value})${part.modifier}` :
+        `((?:${part.value})${part.modifier})`;
+    } else if (part.modifier === '' || part.modifier === '?') {
+      source += `(?:${prefix}(${part.value})${suffix})${part.modifier}`;
+    } else {
+      source += `(?:${prefix}((?:${part.value})(?:${suffix}${prefix}(?:${part.value}))*)${suffix})${part.modifier === '*' ? '?' : ''}`;
+    }
+  }
+
+  try {
+    return {
+      regex: new RegExp(`^${source}$`, options.ignoreCase ? 'ui' : 'u'),
+      names,
+      hasRegExpGroups
+    };
+  } catch (e) {
+    throw new TypeError(`Invalid URL pattern '${pattern}': ${e.message}`);
+  }
+};
+
+/**
+ * Splits a constructor string such as 'https://*.example.com/books/:id' into components
+ * Components after the last one written are left out (and so match anything);
+ * components skipped over on the way to a later one are empty
+ * @param {string} input - Constructor string
+ * @returns {Object} Component patterns
+ */
+const parseUrlPatternString = (input) => {
+  const tokens = tokenizePattern(input, true);
+  const result = {};
+  const text = (from, to) => input.slice(tokens[from].index, tokens[to].index);
+
+  // Depth in {...} groups before each token, so delimiters inside groups are ignored
+  const depths = [];
+  let depth = 0;
+  for (const token of tokens) {
+    depths.push(depth);
+    depth += token.type === 'open' ? 1 : token.type === 'close' ? -1 : 0;
+  }
+  const isChar = (i, value) => depths[i] === 0 && tokens[i].type === 'char' && tokens[i].value === value;
+  // A '?' right after a group is its modifier, not the start of the search
+  const isSearchPrefix = (i) => depths[i] === 0 && tokens[i].value === '?' && (tokens[i].type === 'char' ||
+    (tokens[i].type === 'other-modifier' && !['name', 'regexp', 'close', 'asterisk'].includes(tokens[i - 1]?.type)));
+  const find = (from, test) => {
+    for (let i = from; i < tokens.length - 1; i++) {
+      if (test(i)) return i;
+    }
+    return tokens.length - 1;
+  };
+
+  let i = 0;
+  const colon = find(0, j => isChar(j, ':') || isChar(j, '/') || isSearchPrefix(j) || isChar(j, '#'));
+  if (colon > 0 && isChar(colon, ':')) {
+    result.protocol = text(0, colon);
+    i = colon + 1;
+    if (isChar(i, '/') && isChar(i + 1, '/')) {
+      const authorityEnd = find(i + 2, j => isChar(j, '/') || isSearchPrefix(j) || isChar(j, '#'));
+      let hostStart = i + 2;
+      const at = find(hostStart, j => j >= authorityEnd || isChar(j, '@'));
+      if (at < authorityEnd) {
+        const userEnd = find(hostStart, j => j >= at || isChar(j, ':'));
+        result.username = text(hostStart, userEnd);
+        if (userEnd < at) {
+          result.password = text(userEnd + 1, at);
+        }
+        hostStart = at + 1;
+      }
+      // The port follows the last ':' outside IPv6 brackets
+      let portColon = -1;
+      let brackets = 0;
+      for (let j = hostStart; j < authorityEnd; j++) {
+        brackets += isChar(j, '[') ? 1 : isChar(j, ']') ? -1 : 0;
+        if (!brackets && isChar(j, ':')) {
+          portColon = j;
+        }
+      }
+      result.hostname = text(hostStart, portColon === -1 ? authorityEnd : portColon);
+      result.port = portColon === -1 ? '' : text(portColon + 1, authorityEnd);
+      i = authorityEnd;
+    }
+  }
+
+  const searchStart = find(i, j => isSearchPrefix(j) || isChar(j, '#'));
+  if (searchStart > i || tokens[i].type !== 'end') {
+    result.pathname = text(i, searchStart);
+  }
+  i = searchStart;
+  if (isSearchPrefix(i)) {
+    const hashStart = find(i + 1, j => isChar(j, '#'));
+    result.search = text(i + 1, hashStart);
+    i = hashStart;
+  }
+  if (isChar(i, '#')) {
+    result.search = result.search ?? '';
+    result.hash = text(i + 1, tokens.length - 1);
+  }
+  if (result.hostname !== undefined && result.pathname === undefined && (result.search !== undefined || result.hash !== undefined)) {
+    result.pathname = specialSchemePorts[result.protocol] !== undefined ? '/' : '';
+  }
+  return result;
+};
+
+/**
+ * Resolves a pattern or URL dictionary against its baseURL
+ * @param {Object} init - Components plus optional baseURL
+ * @param {string} type - 'pattern' for patterns, 'url' for URLs being matched
+ * @returns {Object} Components, without the ':', '?' and '#' delimiters
+ * @throws {TypeError} If baseURL is not a valid URL
+ */
+const processUrlPatternInit = (init, type) => {
+  const escape = type === 'pattern' ? escapePatternText : (text) => text;
+  const result = {};
+  if (init.baseURL !== undefined) {
+    const base = new Web.URL(Str(init.baseURL));
+    const given = (...names) => names.some(name => init[name] !== undefined);
+    result.protocol = escape(base.protocol.replace(/:$/, ''));
+    if (type !== 'pattern' && !given('protocol', 'hostname', 'port', 'username')) {
+      result.username = base.username;
+    }
+    if (type !== 'pattern' && !given('protocol', 'hostname', 'port', 'username', 'password')) {
+      result.password = base.password;
+    }
+    if (!given('protocol', 'hostname')) {
+      result.hostname = escape(base.hostname);
+    }
+    if (!given('protocol', 'hostname', 'port')) {
+      result.port = escape(base.port);
+    }
+    if (!given('protocol', 'hostname', 'port', 'pathname')) {
+      result.pathname = escape(base.pathname);
+    }
+    if (!given('protocol', 'hostname', 'port', 'pathname', 'search')) {
+      result.search = escape(base.search.replace(/^\?/, ''));
+    }
+    if (!given('protocol', 'hostname', 'port', 'pathname', 'search', 'hash')) {
+      result.hash = escape(base.hash.replace(/^#/, ''));
+    }
+    if (init.pathname !== undefined && !/^(?:\/|\\\/|\{\/)/.test(Str(init.pathname)) && base.pathname) {
+      init = {
+        ...init,
+        pathname: escape(base.pathname.slice(0, base.pathname.lastIndexOf('/') + 1)) + Str(init.pathname)
+      };
+    }
+  }
+  for (const name of urlPatternComponents) {
+    if (init[name] !== undefined) {
+      result[name] = Str(init[name]);
+    }
+  }
+  if (result.protocol !== undefined) result.protocol = result.protocol.replace(/:$/, '');
+  if (result.search !== undefined) result.search = result.search.replace(/^\?/, '');
+  if (result.hash !== undefined) result.hash = result.hash.replace(/^#/, '');
+  return result;
+};
+
+/**
+ * Gets the components of a URL being matched
+ * @param {string|Object} input - URL string or component dictionary
+ * @param {string} baseURL - Optional base URL for a string input
+ * @returns {Object|null} Components, or null if the URL cannot be parsed
+ */
+const urlPatternInput = (input, baseURL) => {
+  try {
+    if (typeof input === 'object' && input !== null && !instanceOf(input, Web.URL)) {
+      if (baseURL !== undefined) {
+        throw new TypeError('URLPattern: a baseURL cannot be given with a dictionary input');
+      }
+      return processUrlPatternInit(input, 'url');
+    }
+    const url = new Web.URL(Str(input), baseURL === undefined ? undefined : Str(baseURL));
+    const protocol = url.protocol.replace(/:$/, '');
+    const special = specialSchemePorts[protocol] !== undefined;
+    return {
+      protocol,
+      username: url.username,
+      password: url.password,
+      hostname: special ? url.hostname.toLowerCase() : url.hostname,
+      port: url.port === specialSchemePorts[protocol] ? '' : url.port,
+      pathname: url.pathname,
+      search: url.search.replace(/^\?/, ''),
+      hash: url.hash.replace(/^#/, '')
+    };
+  } catch (e) {
+    if (e.message?.startsWith('URLPattern:')) {
+      throw e;
+    }
+    return null;
+  }
+};
+
+const URLPattern = class WebURLPattern {
+
+  /**
+   * Creates a new URLPattern
+   * Patterns: new URLPattern(string, baseURL?, options?) and new URLPattern(dictionary?, options?)
+   * A relative string pattern such as '/books/:id' needs a baseURL
+   * @param {string|Object} input - Constructor string, or components plus baseURL
+   * @param {string} baseURL - Base URL for a string pattern
+   * @param {Object} options - ignoreCase
+   * @throws {TypeError} For malformed patterns or a relative string without a baseURL
+   */
+  constructor(input = {}, baseURL, options) {
+    if (typeof baseURL === 'object' && baseURL !== null) {
+      options = baseURL;
+      baseURL = undefined;
+    }
+    options = options ?? {};
+
+    let init;
+    if (typeof input === 'string') {
+      init = parseUrlPatternString(input);
+      if (init.protocol === undefined && baseURL === undefined) {
+        throw new TypeError(`Invalid URL pattern '${input}': a relative pattern needs a baseURL`);
+      }
+      if (baseURL !== undefined) {
+        init.baseURL = baseURL;
+      }
+    } else if (typeof input === 'object' && input !== null) {
+      if (baseURL !== undefined) {
+        throw new TypeError('URLPattern: a baseURL cannot be given with a dictionary pattern');
+      }
+      init = {
+        ...input
+      };
+    } else {
+      throw new TypeError(`URLPattern: expected a string or dictionary. Received: ${Str(input)}`);
+    }
+
+    const processed = processUrlPatternInit(init, 'pattern');
+    for (const name of urlPatternComponents) {
+      processed[name] = processed[name] ?? '*';
+    }
+    // The default port of a special scheme matches URLs without a port
+    if (specialSchemePorts[processed.protocol] !== undefined && processed.port === specialSchemePorts[processed.protocol]) {
+      processed.port = '';
+    }
+
+    this[$patternComponents] = {};
+    for (const name of urlPatternComponents) {
+      this[$patternComponents][name] = {
+        pattern: processed[name],
+        ...compileUrlPatternComponent(processed[name], {
+          delimiter: name === 'pathname' ? '/' : name === 'hostname' ? '.' : '',
+          prefix: name === 'pathname' ? '/' : '',
+          ignoreCase: Boolean(options.ignoreCase)
+        })
+      };
+    }
+  }
+
+  get protocol() {
+    return this[$patternComponents].protocol.pattern;
+  }
+
+  get username() {
+    return this[$patternComponents].username.pattern;
+  }
+
+  get password() {
+    return this[$patternComponents].password.pattern;
+  }
+
+  get hostname() {
+    return this[$patternComponents].hostname.pattern;
+  }
+
+  get port() {
+    return this[$patternComponents].port.pattern;
+  }
+
+  get pathname() {
+    return this[$patternComponents].pathname.pattern;
+  }
+
+  get search() {
+    return this[$patternComponents].search.pattern;
+  }
+
+  get hash() {
+    return this[$patternComponents].hash.pattern;
+  }
+
+  /**
+   * Checks whether any component uses a custom regular expression group
+   * @returns {boolean} True if a regexp group is used
+   */
+  get hasRegExpGroups() {
+    return urlPatternComponents.some(name => this[$patternComponents][name].hasRegExpGroups);
+  }
+
+  /**
+   * Checks whether a URL matches the pattern
+   * @param {string|Object} input - URL, or URL components
+   * @param {string} baseURL - Optional base URL for a string input
+   * @returns {boolean} True if it matches
+   */
+  test(input = {}, baseURL) {
+    return this.exec(input, baseURL) !== null;
+  }
+
+  /**
+   * Matches a URL against the pattern
+   * @param {string|Object} input - URL, or URL components
+   * @param {string} baseURL - Optional base URL for a string input
+   * @returns {Object|null} { inputs, protocol, ..., hash } with each component's
+   *   { input, groups }, or null if it does not match
+   */
+  exec(input = {}, baseURL) {
+    const components = urlPatternInput(input, baseURL);
+    if (!components) {
+      return null;
+    }
+    const result = {
+      inputs: baseURL === undefined ? [input] : [input, baseURL]
+    };
+    for (const name of urlPatternComponents) {
+      const component = this[$patternComponents][name];
+      const value = components[name] ?? '';
+      const match = component.regex.exec(value);
+      if (!match) {
+        return null;
+      }
+      const groups = {};
+      component.names.forEach((group, i) => {
+        groups[group] = match[i + 1];
+      });
+      result[name] = {
+        input: value,
+        groups
+      };
+    }
+    return result;
+  }
+};
+
+setProperty(Web, {
+  URLPattern
+});
@@ -0,0 +1,450 @@
+/**
+ * Apps Script triggers as events - 'scheduled', 'open', 'edit', 'formsubmit' and 'install'
+ *
+ * @see https://developers.google.com/apps-script/guides/triggers (Google Apps Script - Simple Triggers)
+ * @see https://developers.google.com/apps-script/guides/triggers/installable (Google Apps Script - Installable Triggers)
+ * @see https://developers.cloudflare.com/workers/runtime-apis/handlers/scheduled/ (Cloudflare Workers - Scheduled Handler)
+ *
+ * Web.addEventListener accepts these event types besides 'fetch'. As with
+ * 'fetch' and doGet/doPost, adding a listener defines the global function
+ * Apps Script calls for the trigger:
+ * - 'open' defines onOpen, 'edit' onEdit and 'install' onInstall (simple triggers)
+ * - 'formsubmit' defines onFormSubmit and installs a form submit trigger for
+ *   the spreadsheet or form the script is bound to
+ * - 'scheduled' defines onScheduled and installs time-driven triggers for the
+ *   listener's cron schedule
+ *
+ * Listeners receive a Web.TriggerEvent (a Web.ScheduledEvent for 'scheduled')
+ * carrying the Apps Script event's properties, and are all called in order
+ * unless one calls event.stopImmediatePropagation().
+ *
+ * WHY A REGISTRY: top-level code, and so addEventListener, runs on every
+ * execution. Installed triggers are recorded in script properties so only the
+ * first execution that sees a schedule creates its triggers; later ones read
+ * one property. Triggers for schedules no listener uses anymore are deleted by
+ * removeEventListener, or by onScheduled the next time they fire, which is
+ * how an edited schedule replaces the old one.
+ *
+ * Cron schedules are 'minute hour day-of-month month day-of-week', limited to
+ * what Apps Script clock triggers can express:
+ * - '*' or '*\/n' minutes with n = 1, 5, 10, 15 or 30: every n minutes
+ * - 'm *' or 'm *\/n' hours with n = 1, 2, 4, 6, 8 or 12: every n hours
+ * - 'm h' with '*' days: daily at h:m
+ * - 'm h' with day-of-week or day-of-month lists: weekly or monthly at h:m
+ * Hours and days can be lists and ranges ('9,17', '1-5', 'MON-FRI'); each
+ * combination becomes one trigger. The month must be '*'. Apps Script runs
+ * clock triggers within about 15 minutes of the requested minute, in the
+ * script's time zone. '@hourly', '@daily', '@weekly' and '@monthly' work too.
+ *
+ * Example usage:
+ *   Web.addEventListener('scheduled', (event) => sendReport(), { cron: '0 9 * * MON-FRI' });
+ *   Web.addEventListener('edit', (event) => event.range.setNote(`Edited by ${event.user}`));
+ */
+
+// Script property recording the installed triggers
+const triggerRegistryKey = 'Web.triggers';
+
+// Intervals ClockTriggerBuilder accepts
+const triggerMinuteIntervals = [1, 5, 10, 15, 30];
+const triggerHourIntervals = [1, 2, 4, 6, 8, 12];
+
+const cronAliases = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const cronWeekDays = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const triggerWeekDays = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+
+// Cron schedules of each 'scheduled' listener
+const scheduledCrons = new Map();
+
+/**
+ * Parses one cron field into the values it allows
+ * @param {string} field - Field such as '9', '1-5', 'MON,WED' or '*\/6'
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @param {Array<string>} names - Names for values from 0, if the field has them
+ * @returns {Array<number>|null} Sorted values, or null for '*'
+ */
+const cronField = (field, min, max, names = []) => {
+  if (field === '*') {
+    return null;
+  }
+  const value = (text) => {
+    const index = names.indexOf(Str(text).toUpperCase());
+    return index !== -1 ? index : /^\d+$/.test(text) ? Number(text) : NaN;
+  };
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const [range, step, ...extra] = part.split('/');
+    const bounds = range === '*' ? [min, max] : range.split('-').map(value);
+    const from = bounds[0];
+    // '5/15' counts from 5 up to the largest value
+    const to = bounds[1] ?? (step === undefined ? from : max);
+    const by = step === undefined ? 1 : Number(step);
+    if (extra.length || bounds.length > 2 || !(from >= min && to <= max && from <= to) || !(by >= 1) || !Number.isInteger(by)) {
+      throw new TypeError(`'${field}' is not a valid cron field`);
+    }
+    for (let i = from; i <= to; i += by) {
+      values.add(i);
+    }
+  }
+  return [...values].sort((a, b) => a - b);
+};
+
+/**
+ * Turns a cron schedule into the clock triggers that run it
+ * @param {string} cron - Cron schedule
+ * @returns {Array<Object>} Trigger specs: { minutes }, { hours }, or { hour, minute }
+ *   with an optional weekDay or monthDay
+ * @throws {TypeError} If the schedule is invalid or has no clock trigger equivalent
+ */
+const cronTriggers = (cron) => {
+  const fields = (cronAliases[cron] ?? Str(cron ?? '').trim()).split(/\s+/);
+  const unsupported = (reason) => new TypeError(`Cron schedule '${Str(cron)}' ${reason}`);
+  if (fields.length !== 5) {
+    throw unsupported('must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+  const [minute, hour, monthDay, month, weekDay] = fields;
+  const interval = (field) => field === '*' ? 1 : Number(field.match(/^\*\/(\d+)$/)?.[1]);
+  const everyDay = monthDay === '*' && weekDay === '*';
+  if (month !== '*') {
+    throw unsupported('cannot run in specific months with Apps Script triggers');
+  }
+
+  if (hour === '*' && everyDay && interval(minute)) {
+    if (!triggerMinuteIntervals.includes(interval(minute))) {
+      throw unsupported('can only repeat every 1, 5, 10, 15 or 30 minutes');
+    }
+    return [{
+      minutes: interval(minute)
+    }];
+  }
+
+  const minutes = cronField(minute, 0, 59);
+  if (minutes?.length !== 1) {
+    throw unsupported('needs a single minute unless it repeats every few minutes');
+  }
+  if (everyDay && interval(hour)) {
+    // everyHours() cannot be given a minute, so only on-the-hour schedules fit
+    if (minutes[0] !== 0) {
+      throw unsupported('can only repeat every few hours at minute 0');
+    }
+    if (!triggerHourIntervals.includes(interval(hour))) {
+      throw unsupported('can only repeat every 1, 2, 4, 6, 8 or 12 hours');
+    }
+    return [{
+      hours: interval(hour)
+    }];
+  }
+
+  const hours = cronField(hour, 0, 23);
+  if (!hours) {
+    throw unsupported('needs specific hours when it runs on specific days');
+  }
+  if (monthDay !== '*' && weekDay !== '*') {
+    throw unsupported('cannot restrict both the day of the month and the day of the week');
+  }
+  const days = monthDay !== '*' ?
+    cronField(monthDay, 1, 31).map(day => ({
+      monthDay: day
+    })) :
+    weekDay !== '*' ?
+    [...new Set(cronField(weekDay, 0, 7, cronWeekDays).map(day => day % 7))].map(day => ({
+      weekDay: triggerWeekDays[day]
+    })) :
+    [{}];
+  return days.flatMap(day => hours.map(h => ({
+    ...day,
+    hour: h,
+    minute: minutes[0]
+  })));
+};
+
+/**
+ * Creates a clock trigger calling onScheduled
+ * @param {Object} spec - Trigger spec from cronTriggers
+ * @returns {ScriptApp.Trigger} Created trigger
+ */
+const createClockTrigger = (spec) => {
+  const builder = ScriptApp.newTrigger(triggerEntryPoints.scheduled.name).timeBased();
+  if (spec.minutes) {
+    return builder.everyMinutes(spec.minutes).create();
+  }
+  if (spec.hours) {
+    return builder.everyHours(spec.hours).create();
+  }
+  const day = spec.weekDay ? builder.onWeekDay(ScriptApp.WeekDay[spec.weekDay]) :
+    spec.monthDay ? builder.onMonthDay(spec.monthDay) :
+    builder.everyDays(1);
+  return day.atHour(spec.hour).nearMinute(spec.minute).create();
+};
+
+/**
+ * Creates a form submit trigger calling onFormSubmit for the container
+ * @returns {ScriptApp.Trigger} Created trigger
+ * @throws {Error} If the script is not bound to a spreadsheet or form
+ */
+const createFormSubmitTrigger = () => {
+  const builder = ScriptApp.newTrigger(triggerEntryPoints.formsubmit.name);
+  const spreadsheet = typeof SpreadsheetApp !== 'undefined' && SpreadsheetApp.getActive();
+  if (spreadsheet) {
+    return builder.forSpreadsheet(spreadsheet).onFormSubmit().create();
+  }
+  const form = typeof FormApp !== 'undefined' && FormApp.getActiveForm();
+  if (form) {
+    return builder.forForm(form).onFormSubmit().create();
+  }
+  throw new Error("'formsubmit' listeners need a script bound to a spreadsheet or form");
+};
+
+/**
+ * Reads the installed triggers
+ * @returns {Array<Object>} Triggers as { type, key, id }, key being the cron schedule for 'scheduled'
+ */
+const triggerRegistry = () => {
+  return JSON.parse(PropertiesService.getScriptProperties().getProperty(triggerRegistryKey) ?? '[]');
+};
+
+/**
+ * Changes the installed triggers under the script lock
+ * @param {Function} change - Receives the triggers, returns the new triggers
+ */
+const updateTriggerRegistry = (change) => {
+  withScriptLock(() => {
+    PropertiesService.getScriptProperties().setProperty(triggerRegistryKey, JSON.stringify(change(triggerRegistry())));
+  });
+};
+
+/**
+ * Gets the registry keys the current listeners of a type need triggers for
+ * @param {string} type - 'scheduled' or 'formsubmit'
+ * @returns {Array<string>} Cron schedules, or ['formsubmit'] while it has listeners
+ */
+const wantedTriggerKeys = (type) => {
+  if (type === 'scheduled') {
+    return [...scheduledCrons.values()].flat();
+  }
+  return eventListeners.get(type)?.length ? [type] : [];
+};
+
+/**
+ * Installs the triggers for a registry key unless they are installed already
+ * Failures are logged rather than thrown: simple triggers and anonymous web
+ * app users cannot create triggers, and a later execution will try again
+ * @param {string} type - 'scheduled' or 'formsubmit'
+ * @param {string} key - Cron schedule, or 'formsubmit'
+ * @param {Function} create - () => Array<ScriptApp.Trigger>
+ */
+const installTriggers = (type, key, create) => {
+  const installed = (triggers) => triggers.some(entry => entry.type === type && entry.key === key);
+  if (installed(triggerRegistry())) {
+    return;
+  }
+  try {
+    updateTriggerRegistry((triggers) => {
+      if (installed(triggers)) {
+        return triggers;
+      }
+      return [...triggers, ...create().map(trigger => ({
+        type,
+        key,
+        id: trigger.getUniqueId()
+      }))];
+    });
+  } catch (e) {
+    console.warn(`Could not install the ${type} trigger for '${key}':`, e);
+  }
+};
+
+/**
+ * Deletes the triggers of a type that no current listener needs
+ * @param {string} type - 'scheduled' or 'formsubmit'
+ */
+const uninstallStaleTriggers = (type) => {
+  const wanted = wantedTriggerKeys(type);
+  const stale = (entry) => entry.type === type && !wanted.includes(entry.key);
+  if (!triggerRegistry().some(stale)) {
+    return;
+  }
+  try {
+    updateTriggerRegistry((triggers) => {
+      const ids = triggers.filter(stale).map(entry => entry.id);
+      ScriptApp.getProjectTriggers()
+        .filter(trigger => ids.includes(trigger.getUniqueId()))
+        .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+      return triggers.filter(entry => !stale(entry));
+    });
+  } catch (e) {
+    console.warn(`Could not delete unused ${type} triggers:`, e);
+  }
+};
+
+/**
+ * Web.TriggerEvent - Event passed to 'open', 'edit', 'formsubmit' and 'install' listeners
+ *
+ * Carries every property of the Apps Script event object (authMode, source,
+ * range, value, oldValue, namedValues, response, user, triggerUid...) as is,
+ * the way Web.RequestEvent carries the doGet/doPost event's.
+ *
+ * Example usage:
+ *   Web.addEventListener('formsubmit', (event) => {
+ *     MailApp.sendEmail(OWNER, 'New response', JSON.stringify(event.namedValues));
+ *   });
+ */
+const TriggerEvent = class WebTriggerEvent {
+
+  /**
+   * Creates a new TriggerEvent from an Apps Script trigger event object
+   * @param {string} type - Event type, such as 'edit'
+   * @param {Object} e - Event object Apps Script passed to the trigger function
+   */
+  constructor(type, e = {}) {
+    Object.assign(this, Object.fromEntries(Object.entries(e || {})));
+    this.type = Str(type);
+    this.timeStamp = Date.now();
+  }
+
+  /**
+   * Defers work until after this execution, see Web.tasks
+   * @param {string|Function} task - Global function, or its name
+   * @param {*} payload - JSON-serializable argument for the function
+   * @returns {string|undefined} Task id, or undefined if there is no task to queue
+   */
+  waitUntil(task, payload) {
+    return waitUntilTask(task, payload);
+  }
+
+  /**
+   * Stops the remaining listeners from being called
+   */
+  stopImmediatePropagation() {
+    setHidden(this, '&stopImmediatePropagation', true);
+  }
+};
+
+setProperty(Web, {
+  TriggerEvent
+});
+
+/**
+ * Web.ScheduledEvent - Event passed to 'scheduled' listeners
+ *
+ * Modelled on the ScheduledEvent of Cloudflare Workers: `cron` is the
+ * schedule whose trigger fired (null when onScheduled is run by hand, which
+ * calls every 'scheduled' listener) and `scheduledTime` is when it fired.
+ */
+const ScheduledEvent = class WebScheduledEvent extends TriggerEvent {
+
+  /**
+   * Creates a new ScheduledEvent from a time-driven trigger event object
+   * @param {Object} e - Event object Apps Script passed to onScheduled
+   * @param {string|null} cron - Cron schedule of the trigger that fired
+   */
+  constructor(e = {}, cron = null) {
+    super('scheduled', e);
+    this.cron = cron;
+    this.scheduledTime = this.timeStamp;
+  }
+};
+
+setProperty(Web, {
+  ScheduledEvent
+});
+
+/**
+ * Calls the listeners of a trigger event type in order
+ * @param {string} type - Event type
+ * @param {Web.TriggerEvent} event - Event to pass
+ * @param {Function} accepts - (listener) => boolean, filtering the listeners
+ */
+const dispatchTriggerEvent = (type, event, accepts = () => true) => {
+  // Copied so listeners added or removed during dispatch don't affect it
+  for (const listener of [...(eventListeners.get(type) ?? [])].filter(accepts)) {
+    listener(event);
+    if (event['&stopImmediatePropagation']) {
+      break;
+    }
+  }
+};
+
+/**
+ * Global functions Apps Script calls for each trigger event type
+ * Named after the simple triggers they stand for; onScheduled is ours
+ */
+const triggerEntryPoints = {
+  scheduled: function onScheduled(e) {
+    const cron = triggerRegistry().find(entry => entry.type === 'scheduled' && entry.id === e?.triggerUid)?.key ?? null;
+    uninstallStaleTriggers('scheduled');
+    dispatchTriggerEvent('scheduled', new Web.ScheduledEvent(e, cron), listener => {
+      return cron === null || scheduledCrons.get(listener)?.includes(cron);
+    });
+  },
+  open: function onOpen(e) {
+    dispatchTriggerEvent('open', new Web.TriggerEvent('open', e));
+  },
+  edit: function onEdit(e) {
+    dispatchTriggerEvent('edit', new Web.TriggerEvent('edit', e));
+  },
+  formsubmit: function onFormSubmit(e) {
+    dispatchTriggerEvent('formsubmit', new Web.TriggerEvent('formsubmit', e));
+  },
+  install: function onInstall(e) {
+    dispatchTriggerEvent('install', new Web.TriggerEvent('install', e));
+  }
+};
+
+/**
+ * Adds a listener for a trigger event type, called by Web.addEventListener
+ * @param {string} type - Key of triggerEntryPoints
+ * @param {Function} handler - Listener receiving a Web.TriggerEvent
+ * @param {Object} options - { cron } for 'scheduled'
+ * @throws {TypeError} If a 'scheduled' listener has no usable cron schedule
+ */
+const addTriggerListener = (type, handler, options) => {
+  const specs = type === 'scheduled' ? cronTriggers(options?.cron) : [];
+
+  if (!eventListeners.has(type)) {
+    eventListeners.set(type, []);
+  }
+  const handlers = eventListeners.get(type);
+  if (!handlers.includes(handler)) {
+    handlers.push(handler);
+  }
+  globalThis[triggerEntryPoints[type].name] = triggerEntryPoints[type];
+
+  if (type === 'scheduled') {
+    const cron = Str(options.cron).trim();
+    scheduledCrons.set(handler, [...new Set([...(scheduledCrons.get(handler) ?? []), cron])]);
+    installTriggers(type, cron, () => specs.map(createClockTrigger));
+  } else if (type === 'formsubmit') {
+    installTriggers(type, type, () => [createFormSubmitTrigger()]);
+  }
+};
+
+/**
+ * Removes a listener for a trigger event type, called by Web.removeEventListener
+ * Deletes the triggers and global function no remaining listener needs
+ * @param {string} type - Key of triggerEntryPoints
+ * @param {Function} handler - Listener to remove
+ */
+const removeTriggerListener = (type, handler) => {
+  const handlers = eventListeners.get(type) ?? [];
+  const index = handlers.indexOf(handler);
+  if (index === -1) {
+    return;
+  }
+  handlers.splice(index, 1);
+  scheduledCrons.delete(handler);
+
+  if (type === 'scheduled' || type === 'formsubmit') {
+    uninstallStaleTriggers(type);
+  }
+  if (!handlers.length && globalThis[triggerEntryPoints[type].name] === triggerEntryPoints[type]) {
+    delete globalThis[triggerEntryPoints[type].name];
+  }
+};
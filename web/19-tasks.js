@@ -0,0 +1,271 @@
+/**
+ * Web.TaskQueue - Deferred work for event.waitUntil() (exposed as Web.tasks)
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/ExtendableEvent/waitUntil (MDN Web Docs - ExtendableEvent.waitUntil)
+ * @see https://developers.google.com/apps-script/reference/script/clock-trigger-builder#afterdurationmilliseconds (Google Apps Script - ClockTriggerBuilder.after)
+ *
+ * In a service worker, waitUntil() keeps the worker alive for work that
+ * finishes after the response. An Apps Script execution ends when doGet
+ * returns, so the work is written down instead: the name of a global
+ * function and a JSON payload, one script property per task. A one-shot
+ * time-driven trigger then calls runDeferredTasks, which calls each
+ * function as fn(payload, task) in a new execution.
+ *
+ * WHY FUNCTION NAMES: closures cannot be stored. A trigger execution loads
+ * the script afresh, and only its global functions can be found by name.
+ *
+ * A task that throws is retried with a doubling delay (1, 2, 4, 8 minutes);
+ * after the last attempt it stays in the queue, marked failed, until deleted.
+ * Tasks cut off by the execution time limit, or by a run that dies, run
+ * again once their lease runs out.
+ *
+ * Example usage:
+ *   function sendReceipt(order) {
+ *     MailApp.sendEmail(order.email, 'Your order', `Order ${order.id} received`);
+ *   }
+ *
+ *   Web.addEventListener('fetch', (event) => {
+ *     const order = saveOrder(event.json());
+ *     event.waitUntil('sendReceipt', order);
+ *     return new Web.Response('Thanks!');
+ *   });
+ *
+ *   Web.tasks.pending(); // [{ id, name: 'sendReceipt', payload, attempts, runAt, ... }]
+ */
+const taskKeyPrefix = 'Web.task.';
+const taskTriggerKey = 'Web.tasks.trigger';
+
+// Global function the task trigger calls
+const taskEntryPoint = 'runDeferredTasks';
+
+// Attempts before a task is marked failed, and the delay before the first retry
+const maxTaskAttempts = 5;
+const taskRetryDelay = 60 * 1000;
+
+// How long a task being run is hidden from other runners
+const taskLease = 6 * 60 * 1000;
+
+/**
+ * Reads a stored task
+ * @param {string} id - Task id
+ * @returns {Object|null} Task, or null if it is gone
+ */
+const readTask = (id) => {
+  return JSON.parse(PropertiesService.getScriptProperties().getProperty(taskKeyPrefix + id) ?? 'null');
+};
+
+/**
+ * Stores a task
+ * @param {Object} task - Task with an id
+ */
+const writeTask = (task) => {
+  PropertiesService.getScriptProperties().setProperty(taskKeyPrefix + task.id, JSON.stringify(task));
+};
+
+/**
+ * Gets the name of the global function a task runs
+ * @param {string|Function} task - Function name, or the global function itself
+ * @returns {string} Function name
+ * @throws {TypeError} If it does not name a global function
+ */
+const taskFunctionName = (task) => {
+  if (typeof task === 'function') {
+    if (!task.name || globalThis[task.name] !== task) {
+      throw new TypeError('waitUntil can only defer global functions; closures cannot be stored');
+    }
+    return task.name;
+  }
+  const name = Str(task ?? '');
+  if (typeof globalThis[name] !== 'function') {
+    throw new TypeError(`waitUntil needs the name of a global function; '${name}' is not one`);
+  }
+  return name;
+};
+
+/**
+ * Queues a task for event.waitUntil()
+ * Service worker code passes a promise, and the work behind it has already
+ * run by the time a synchronous handler returns. Anything that is not a
+ * function or a name is ignored, as waitUntil() did before tasks existed
+ * @param {*} task - Global function, or its name
+ * @param {*} payload - JSON-serializable argument for the function
+ * @returns {string|undefined} Task id, or undefined if nothing was queued
+ */
+const waitUntilTask = (task, payload) => {
+  if (typeof task !== 'string' && typeof task !== 'function') {
+    return undefined;
+  }
+  return Web.tasks.add(task, payload);
+};
+
+const TaskQueue = class WebTaskQueue {
+
+  /**
+   * Queues a call to a global function, run by a trigger after this execution
+   * @param {string|Function} task - Global function, or its name
+   * @param {*} payload - JSON-serializable argument for the function
+   * @returns {string} Task id
+   */
+  add(task, payload) {
+    const now = Date.now();
+    const record = {
+      id: Utilities.getUuid(),
+      name: taskFunctionName(task),
+      payload,
+      attempts: 0,
+      created: now,
+      runAt: now
+    };
+    writeTask(record);
+    // The task is stored either way; a later add() or run() schedules it
+    try {
+      this['&schedule']();
+    } catch (e) {
+      console.warn(`Could not schedule the trigger for deferred task ${record.name}:`, e);
+    }
+    return record.id;
+  }
+
+  /**
+   * Gets the queued tasks, oldest first, including failed ones
+   * @returns {Array<Object>} Tasks as { id, name, payload, attempts, created, runAt, error, failed }
+   */
+  pending() {
+    const properties = PropertiesService.getScriptProperties().getProperties();
+    return Object.keys(properties)
+      .filter(key => key.startsWith(taskKeyPrefix))
+      .map(key => JSON.parse(properties[key]))
+      .sort((a, b) => a.created - b.created);
+  }
+
+  /**
+   * Runs the tasks that are due, then schedules the trigger for the rest
+   * This is what the runDeferredTasks trigger calls. A follow-up trigger for
+   * when the leases run out is set first, so a run killed partway through
+   * still leaves its tasks a retry
+   * @param {Object} e - Time-driven trigger event, if run by the trigger
+   * @returns {Array<Object>} The tasks that ran, with failed ones updated
+   */
+  run(e) {
+    const ran = [];
+    this['&schedule'](e?.triggerUid, Date.now() + taskLease);
+    for (const { id } of this.pending().filter(task => !task.failed && task.runAt <= Date.now())) {
+      // Leave the rest to the next run rather than be cut off mid-task
+      if (Date.now() >= executionDeadline) {
+        break;
+      }
+      const task = this['&claim'](id);
+      if (!task) {
+        continue;
+      }
+      try {
+        globalThis[task.name](task.payload, task);
+        PropertiesService.getScriptProperties().deleteProperty(taskKeyPrefix + id);
+      } catch (error) {
+        task.error = Str(error);
+        task.failed = task.attempts >= maxTaskAttempts;
+        task.runAt = Date.now() + taskRetryDelay * 2 ** (task.attempts - 1);
+        writeTask(task);
+        console.warn(`Deferred task ${task.name} failed (attempt ${task.attempts} of ${maxTaskAttempts}):`, error);
+      }
+      ran.push(task);
+    }
+    this['&schedule']();
+    return ran;
+  }
+
+  /**
+   * Removes a task without running it
+   * @param {string} id - Task id
+   * @returns {boolean} True if the task was queued
+   */
+  delete(id) {
+    const found = readTask(id) !== null;
+    PropertiesService.getScriptProperties().deleteProperty(taskKeyPrefix + id);
+    return found;
+  }
+
+  /**
+   * Removes every task and the pending trigger
+   */
+  clear() {
+    withScriptLock(() => {
+      this.pending().forEach(task => PropertiesService.getScriptProperties().deleteProperty(taskKeyPrefix + task.id));
+    });
+    this['&schedule']();
+  }
+};
+
+/**
+ * Takes a due task for this runner
+ * Counts the attempt and pushes its runAt past the lease, so a concurrent
+ * runner skips it and a runner killed mid-task leaves it to a later run
+ * @param {string} id - Task id
+ * @returns {Object|null} The task, or null if it is gone or not due anymore
+ */
+setHidden(TaskQueue.prototype, '&claim', function claim(id) {
+  return withScriptLock(() => {
+    const task = readTask(id);
+    if (!task || task.failed || task.runAt > Date.now()) {
+      return null;
+    }
+    task.attempts++;
+    task.runAt = Date.now() + taskLease;
+    writeTask(task);
+    return task;
+  });
+});
+
+/**
+ * Keeps exactly one trigger for the earliest queued task
+ * Deletes the trigger once it has fired (or is no longer needed) and creates
+ * a new one when tasks are waiting and none is scheduled early enough
+ * @param {string} firedId - Unique id of the trigger that is running, if any
+ * @param {number} notBefore - Earliest time for the trigger, in ms since the epoch
+ */
+setHidden(TaskQueue.prototype, '&schedule', function schedule(firedId, notBefore = 0) {
+  withScriptLock(() => {
+    const properties = PropertiesService.getScriptProperties();
+    const scheduled = JSON.parse(properties.getProperty(taskTriggerKey) ?? 'null');
+    const next = Math.max(notBefore, Math.min(...this.pending().filter(task => !task.failed).map(task => task.runAt)));
+    const replace = scheduled && (
+      // It has fired, there is nothing left to run, it is too late for the
+      // next task, or the run it started never finished
+      scheduled.id === firedId ||
+      !Number.isFinite(next) ||
+      scheduled.runAt > Math.max(next, Date.now()) + taskRetryDelay ||
+      scheduled.runAt + taskLease < Date.now());
+    if (replace) {
+      ScriptApp.getProjectTriggers()
+        .filter(trigger => trigger.getUniqueId() === scheduled.id)
+        .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+      properties.deleteProperty(taskTriggerKey);
+    } else if (scheduled) {
+      return;
+    }
+    if (Number.isFinite(next)) {
+      const trigger = ScriptApp.newTrigger(taskEntryPoint).timeBased().after(Math.max(1000, next - Date.now())).create();
+      properties.setProperty(taskTriggerKey, JSON.stringify({
+        id: trigger.getUniqueId(),
+        runAt: Math.max(next, Date.now())
+      }));
+    }
+  });
+});
+
+setProperty(Web, {
+  TaskQueue
+});
+
+setProperty(Web, {
+  tasks: new TaskQueue()
+});
+
+/**
+ * Entry point for the task trigger
+ * Defined when the library loads, since the trigger execution only loads the script
+ * @param {Object} e - Time-driven trigger event
+ */
+globalThis[taskEntryPoint] = function runDeferredTasks(e) {
+  Web.tasks.run(e);
+};